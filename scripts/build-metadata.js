@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * Build metadata from src/phone-database.json.
+ *
+ *   node scripts/build-metadata.js
+ *     Regenerates the prebuilt "min" set, src/phone-database.min.json
+ *
+ *   node scripts/build-metadata.js --countries US,CA,DE --out markets.json [--min]
+ *     Writes a database with only the listed countries, for createPhoneForge
+ */
+const fs = require("fs");
+const path = require("path");
+const phoneDatabase = require("../src/phone-database.json");
+const {
+  validateMetadata,
+  minifyMetadata,
+} = require("../src/phone-metadata.js");
+
+/**
+ * Read command line flags
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} `countries` (ISO2 codes or null), `out` and `min`
+ */
+function parseArgs(args) {
+  const options = { countries: null, out: null, min: false };
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--countries":
+        options.countries = args[++i].toUpperCase().split(",");
+        break;
+      case "--out":
+        options.out = args[++i];
+        break;
+      case "--min":
+        options.min = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${args[i]}`);
+    }
+  }
+  return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+let metadata = phoneDatabase;
+let out = path.join(__dirname, "..", "src", "phone-database.min.json");
+
+if (options.countries) {
+  if (!options.out) {
+    throw new Error("--out is required with --countries");
+  }
+  const missing = options.countries.filter(
+    (iso2) => !phoneDatabase.countries.some((country) => country.iso2 === iso2)
+  );
+  if (missing.length > 0) {
+    throw new Error(`Unknown countries: ${missing.join(", ")}`);
+  }
+
+  metadata = {
+    ...phoneDatabase,
+    countries: phoneDatabase.countries.filter((country) =>
+      options.countries.includes(country.iso2)
+    ),
+  };
+  out = options.out;
+}
+
+if (options.min || !options.countries) {
+  metadata = minifyMetadata(metadata);
+}
+
+validateMetadata(metadata);
+fs.writeFileSync(out, `${JSON.stringify(metadata, null, 2)}\n`);
+console.log(`Wrote ${metadata.countries.length} countries to ${out}`);
@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+/**
+ * Build the ES module and browser versions of the library from src/.
+ *
+ *   node scripts/build.js [--out dist]
+ *
+ * The output directory is replaced.
+ *
+ * Writes:
+ *   dist/esm/                  One ES module per source module, JSON data as
+ *                              modules, and .d.mts types (the "import" entry)
+ *   dist/phone-forge.browser.js  Single-file ES module for browsers, with the
+ *                              data inlined (the "browser" entry)
+ *
+ * The sources stay CommonJS. The conversion only understands the patterns
+ * they use: top-level `const x = require("./y.js")` or `require("package")`
+ * (or a destructured require), `require("./data.json")` anywhere,
+ * `require(`./dir/${name}.json`)` for data packs, and one
+ * `module.exports = { ... }` at the end. Getters in `module.exports` are
+ * CommonJS-only exports (ES modules cannot export them) and are left out.
+ *
+ * ES modules cannot load data on demand, so optional data (packs and
+ * OPTIONAL_DATA) stays out of the ES module graph: its requires become
+ * `null`, and applications import the data modules through the package's
+ * subpath exports and register them.
+ */
+const fs = require("fs");
+const path = require("path");
+const { version } = require("../package.json");
+
+const SRC_DIR = path.join(__dirname, "..", "src");
+
+/**
+ * Source modules that belong to the command line tool, not the library
+ */
+const NODE_ONLY_MODULES = ["phone-cli.js", "phone-csv.js"];
+
+/**
+ * Schema adapters, left out of the browser bundle: they plug into
+ * validation libraries the bundle does not include
+ */
+const ADAPTER_MODULES = [
+  "phone-schema.js",
+  "phone-zod.js",
+  "phone-yup.js",
+  "phone-joi.js",
+  "phone-ajv.js",
+];
+
+/**
+ * Directories of data packs loaded by name
+ */
+const PACK_DIRS = ["locales", "geocoding"];
+
+/**
+ * Data files the sources load on demand, left out of the ES module graph
+ */
+const OPTIONAL_DATA = [
+  "phone-database.min.json",
+  "carriers.json",
+  "timezones.json",
+];
+
+/**
+ * Data that modules only load for their CommonJS-only getter exports, by
+ * module, left out of those ES modules
+ */
+const COMMONJS_ONLY_DATA = {
+  "phone-utils.js": ["phone-database.json"],
+};
+
+/**
+ * Type (from index.d.ts) of each data file's default export, by file pattern
+ */
+const DATA_TYPES = [
+  [/^locales\//, "LocalePack"],
+  [/^geocoding\//, "GeocodingPack"],
+  [/^carriers\.json$/, "CarrierData"],
+  [/^timezones\.json$/, "TimeZoneData"],
+  [/^phone-database/, "PhoneMetadata"],
+];
+
+/**
+ * Map a source file name to its ES module file name
+ * @param {string} file - Source path relative to src ("phone-forge.js", "locales/de.json")
+ * @returns {string} ES module path ("phone-forge.mjs", "locales/de.json.mjs")
+ */
+function toModuleFile(file) {
+  return file.endsWith(".json") ? `${file}.mjs` : file.replace(/\.js$/, ".mjs");
+}
+
+/**
+ * Turn a data file name into an identifier for its import
+ * @param {string} file - Data path relative to src ("phone-database.min.json")
+ * @returns {string} Identifier ("phoneDatabaseMinJson")
+ */
+function toIdentifier(file) {
+  return file
+    .replace(/[^a-zA-Z0-9]+(.)/g, (match, char) => char.toUpperCase())
+    .replace(/^./, (char) => char.toLowerCase());
+}
+
+/**
+ * Split the body of an object literal at its top-level commas
+ * @param {string} body - Text between the braces
+ * @returns {Array} Entries, trimmed, with comment lines removed
+ */
+function splitEntries(body) {
+  const entries = [];
+  let depth = 0;
+  let current = "";
+
+  body
+    .split("\n")
+    .filter((line) => !line.trim().startsWith("//"))
+    .join("\n")
+    .split("")
+    .forEach((char) => {
+      if ("([{".includes(char)) depth++;
+      if (")]}".includes(char)) depth--;
+      if (char === "," && depth === 0) {
+        entries.push(current.trim());
+        current = "";
+      } else {
+        current += char;
+      }
+    });
+  if (current.trim()) entries.push(current.trim());
+
+  return entries.filter(Boolean);
+}
+
+/**
+ * Convert one CommonJS source module to an ES module
+ * @param {string} source - Module source
+ * @param {string} file - Source file name, for error messages
+ * @returns {string} ES module source
+ */
+function toEsModule(source, file) {
+  const imports = [];
+
+  // const name = require("./module.js");
+  // const { a, b: c } = require("package");
+  let body = source.replace(
+    /^const (\w+|\{[^}]*\}) = require\("(\.\/[^"]+\.js|[^."][^"]*)"\);\n/gm,
+    (match, binding, request) => {
+      const from = toModuleFile(request);
+      if (!binding.startsWith("{")) {
+        imports.push(`import * as ${binding} from "${from}";`);
+      } else {
+        const names = splitEntries(binding.slice(1, -1)).map((name) =>
+          name.replace(/\s*:\s*/, " as ")
+        );
+        imports.push(`import { ${names.join(", ")} } from "${from}";`);
+      }
+      return "";
+    }
+  );
+
+  // Required data is imported up front; optional data is not loaded at all
+  const skippedData = OPTIONAL_DATA.concat(COMMONJS_ONLY_DATA[file] || []);
+  body = body.replace(/require\("\.\/([^"]+\.json)"\)/g, (match, data) => {
+    if (skippedData.includes(data)) return "null";
+    const name = toIdentifier(data);
+    imports.push(`import ${name} from "./${toModuleFile(data)}";`);
+    return name;
+  });
+  body = body.replace(/require\(`\.\/\w+\/\$\{\w+\}\.json`\)/g, "null");
+
+  const exportsMatch = /^module\.exports = \{([\s\S]*)\};\n$/m.exec(body);
+  if (!exportsMatch || /\brequire\(/.test(body.replace(exportsMatch[0], ""))) {
+    throw new Error(`${file}: unsupported require or module.exports`);
+  }
+
+  const named = [];
+  const declared = [];
+  splitEntries(exportsMatch[1]).forEach((entry) => {
+    if (/^get \w+\(\)/.test(entry)) return;
+    const keyed = /^(\w+):\s*([\s\S]+)$/.exec(entry);
+    if (keyed) {
+      declared.push(
+        `export const ${keyed[1]} = ${keyed[2].replace(/\s*\n\s*/g, "")};`
+      );
+    } else if (/^\w+$/.test(entry)) {
+      named.push(entry);
+    } else {
+      throw new Error(`${file}: unsupported export "${entry}"`);
+    }
+  });
+
+  const exportLines = declared.slice();
+  if (named.length > 0) {
+    exportLines.push(`export {\n  ${named.join(",\n  ")},\n};`);
+  }
+
+  return [
+    `// Generated by scripts/build.js from src/${file}. Do not edit.`,
+    ...imports,
+    "",
+    body.slice(0, exportsMatch.index).trim(),
+    "",
+    ...exportLines,
+    "",
+  ].join("\n");
+}
+
+/**
+ * List the library's source files
+ * @returns {Object} `modules` (JavaScript), `data` (JSON, including packs)
+ *   and `types` (declarations) as paths relative to src
+ */
+function listSources() {
+  const files = fs.readdirSync(SRC_DIR);
+  const modules = files.filter(
+    (file) => file.endsWith(".js") && !NODE_ONLY_MODULES.includes(file)
+  );
+  const types = files.filter((file) => file.endsWith(".d.ts"));
+  const data = files.filter((file) => file.endsWith(".json"));
+  PACK_DIRS.forEach((dir) => {
+    fs.readdirSync(path.join(SRC_DIR, dir))
+      .filter((file) => file.endsWith(".json"))
+      .forEach((file) => data.push(`${dir}/${file}`));
+  });
+  return { modules, data, types };
+}
+
+/**
+ * Write a file, creating its directory
+ * @param {string} file - Path of the file
+ * @param {string} content - File content
+ */
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+/**
+ * Read a JSON data file from src
+ * @param {string} file - Path relative to src
+ * @returns {Object} Parsed data
+ */
+function readData(file) {
+  return JSON.parse(fs.readFileSync(path.join(SRC_DIR, file), "utf8"));
+}
+
+/**
+ * Write the ES module build: converted modules, data modules with their
+ * types, and the type definitions
+ * @param {string} outDir - Output directory of the ES modules
+ * @param {Object} sources - Source files from listSources
+ */
+function buildEsModules(outDir, sources) {
+  sources.modules.forEach((file) => {
+    const source = fs.readFileSync(path.join(SRC_DIR, file), "utf8");
+    writeFile(path.join(outDir, toModuleFile(file)), toEsModule(source, file));
+  });
+
+  sources.data.forEach((file) => {
+    const moduleFile = toModuleFile(file);
+    const [, type] = DATA_TYPES.find(([pattern]) => pattern.test(file));
+    const index = path.posix.relative(path.posix.dirname(file), "index.mjs");
+    writeFile(
+      path.join(outDir, moduleFile),
+      `export default ${JSON.stringify(readData(file))};\n`
+    );
+    writeFile(
+      path.join(outDir, moduleFile.replace(/\.mjs$/, ".d.mts")),
+      [
+        `import type { ${type} } from "${index.startsWith(".") ? index : `./${index}`}";`,
+        "",
+        `declare const data: ${type};`,
+        "export default data;",
+        "",
+      ].join("\n")
+    );
+  });
+
+  sources.types.forEach((file) => {
+    const types = fs.readFileSync(path.join(SRC_DIR, file), "utf8");
+    writeFile(
+      path.join(outDir, file.replace(/\.d\.ts$/, ".d.mts")),
+      types.replace(/from "\.\/([\w-]+)"/g, 'from "./$1.mjs"')
+    );
+  });
+}
+
+/**
+ * Write the browser bundle: every source module wrapped in a function and
+ * loaded through a small module table, so data is still only evaluated when
+ * first used, with the public API as named exports
+ * @param {string} file - Output file
+ * @param {Object} sources - Source files from listSources
+ */
+function buildBrowserBundle(file, sources) {
+  const entries = [
+    ...sources.modules
+      .filter((module) => !ADAPTER_MODULES.includes(module))
+      .map(
+        (module) =>
+          `  "./${module}": function (module, exports, require) {\n` +
+          `${fs.readFileSync(path.join(SRC_DIR, module), "utf8")}},`
+      ),
+    ...sources.data.map(
+      (data) =>
+        `  "./${data}": function (module) {\n` +
+        `module.exports = ${JSON.stringify(readData(data))};\n},`
+    ),
+  ];
+  const names = Object.keys(require(path.join(SRC_DIR, "index.js")));
+
+  writeFile(
+    file,
+    [
+      `// phone-forge ${version} browser build, generated by scripts/build.js. Do not edit.`,
+      "const modules = {",
+      ...entries,
+      "};",
+      "",
+      "const cache = {};",
+      "function requireModule(id) {",
+      "  if (!cache[id]) {",
+      "    if (!modules[id]) throw new Error(`Cannot find module ${id}`);",
+      "    const module = { exports: {} };",
+      "    cache[id] = module;",
+      "    modules[id](module, module.exports, requireModule);",
+      "  }",
+      "  return cache[id].exports;",
+      "}",
+      "",
+      'const phoneForge = requireModule("./index.js");',
+      `export const {\n  ${names.join(",\n  ")},\n} = phoneForge;`,
+      "",
+    ].join("\n")
+  );
+  writeFile(
+    file.replace(/\.js$/, ".d.ts"),
+    fs.readFileSync(path.join(SRC_DIR, "index.d.ts"), "utf8")
+  );
+}
+
+/**
+ * Build the ES modules and the browser bundle
+ * @param {string} outDir - Output directory (dist by default)
+ */
+function build(outDir = path.join(__dirname, "..", "dist")) {
+  const sources = listSources();
+  fs.rmSync(outDir, { recursive: true, force: true });
+  buildEsModules(path.join(outDir, "esm"), sources);
+  buildBrowserBundle(path.join(outDir, "phone-forge.browser.js"), sources);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf("--out");
+  const outDir = outIndex === -1 ? undefined : path.resolve(args[outIndex + 1]);
+  build(outDir);
+  console.log(`Built ${path.relative(process.cwd(), outDir || "dist") || "."}`);
+}
+
+module.exports = {
+  build,
+};
@@ -0,0 +1,21 @@
+import { PhoneForge, PhoneMetadata } from "./index";
+
+export {
+  PhoneForge,
+  PhoneMetadata,
+  validateMetadata,
+  extractDigits,
+  PhoneForgeError,
+  InvalidCountryError,
+  InvalidLengthError,
+  MissingCountryError,
+  UnsupportedFormatError,
+  InvalidMetadataError,
+} from "./index";
+
+/** Create a library instance bound to your own metadata */
+export function createPhoneForge(options: {
+  metadata: PhoneMetadata;
+  /** Name reported by getDatabaseStats (default "custom") */
+  metadataSet?: string;
+}): PhoneForge;
@@ -0,0 +1,26 @@
+const { createPhoneForge, extractDigits } = require("./phone-forge.js");
+const { validateMetadata } = require("./phone-metadata.js");
+const {
+  PhoneForgeError,
+  InvalidCountryError,
+  InvalidLengthError,
+  MissingCountryError,
+  UnsupportedFormatError,
+  InvalidMetadataError,
+} = require("./phone-errors.js");
+
+// Entry point without bundled metadata, so bundles only contain the
+// metadata passed to createPhoneForge
+module.exports = {
+  createPhoneForge,
+  validateMetadata,
+  extractDigits,
+
+  // Error classes, for `instanceof` checks
+  PhoneForgeError,
+  InvalidCountryError,
+  InvalidLengthError,
+  MissingCountryError,
+  UnsupportedFormatError,
+  InvalidMetadataError,
+};
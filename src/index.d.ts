@@ -1,21 +1,178 @@
+/// <reference lib="es2015.iterable" />
+/// <reference lib="es2018.asynciterable" />
+
 export interface FormatOptions {
-  format?: "us" | "US" | "international" | "national" | "e164";
+  format?:
+    | "us"
+    | "US"
+    | "international"
+    | "national"
+    | "e164"
+    | "rfc3966"
+    | "outOfCountry";
   countryCode?: string;
+  /** Country dialled from, required for the "outOfCountry" format */
+  from?: string;
   autoDetect?: boolean;
   strict?: boolean;
 }
 
+export interface OutOfCountryOptions {
+  /** Country dialled from (ISO2, ISO3, or dial code) */
+  from: string;
+  /** Country of numbers written without "+" (defaults to `from`) */
+  countryCode?: string;
+}
+
 export interface ValidationOptions {
   countryCode?: string;
   strict?: boolean;
 }
 
+export type ValidationReason =
+  | "NOT_A_NUMBER"
+  | "INVALID_COUNTRY_CODE"
+  | "TOO_SHORT"
+  | "TOO_LONG"
+  | "INVALID_LENGTH"
+  | "INVALID_FOR_REGION";
+
+export interface ValidationResult {
+  valid: boolean;
+  /** Present only when the number is invalid */
+  reason?: ValidationReason;
+}
+
+export type PhoneForgeErrorCode =
+  | "NOT_A_NUMBER"
+  | "INVALID_COUNTRY_CODE"
+  | "INVALID_LENGTH"
+  | "MISSING_COUNTRY"
+  | "UNSUPPORTED_FORMAT"
+  | "INVALID_ARGUMENT"
+  | "INVALID_METADATA"
+  | "DATA_NOT_LOADED";
+
+/** Base class of every error thrown by the library */
+export class PhoneForgeError extends Error {
+  constructor(message: string, code: PhoneForgeErrorCode);
+  /** Stable, machine-readable error code */
+  readonly code: PhoneForgeErrorCode;
+}
+
+/** Unknown country code, or a calling code that does not fit the country */
+export class InvalidCountryError extends PhoneForgeError {
+  constructor(message: string);
+  readonly code: "INVALID_COUNTRY_CODE";
+}
+
+/** Too few or too many digits for the operation */
+export class InvalidLengthError extends PhoneForgeError {
+  constructor(message: string);
+  readonly code: "INVALID_LENGTH";
+}
+
+/** The operation needs a country the number or options do not provide */
+export class MissingCountryError extends PhoneForgeError {
+  constructor(message: string);
+  readonly code: "MISSING_COUNTRY";
+}
+
+/** Unsupported format name */
+export class UnsupportedFormatError extends PhoneForgeError {
+  constructor(message: string);
+  readonly code: "UNSUPPORTED_FORMAT";
+}
+
+/** Metadata passed to createPhoneForge that does not match the database schema */
+export class InvalidMetadataError extends PhoneForgeError {
+  constructor(errors: string[]);
+  readonly code: "INVALID_METADATA";
+  /** Every problem found, e.g. "countries[3].iso2 must be 2 uppercase letters" */
+  readonly errors: string[];
+}
+
+export interface CompareOptions {
+  /** Country of numbers written without "+" (ISO2, ISO3, or dial code) */
+  defaultCountry?: string;
+}
+
+export type NumberMatch =
+  "EXACT_MATCH" | "NSN_MATCH" | "SHORT_NSN_MATCH" | "NO_MATCH";
+
+export interface FormatRule {
+  /** Regular expression the start of the national number must match */
+  leadingDigits?: string;
+  /** Regular expression with one capture group per digit group */
+  pattern: string;
+  /** Grouping template, e.g. "$1 $2 $3" */
+  format: string;
+  /** National template; defaults to the national prefix followed by `format` */
+  nationalFormat?: string;
+}
+
+export type NumberType =
+  | "mobile"
+  | "fixedLine"
+  | "fixedLineOrMobile"
+  | "tollFree"
+  | "premiumRate"
+  | "sharedCost"
+  | "voip"
+  | "unknown";
+
+export interface NumberTypeRanges {
+  fixedLine?: string;
+  mobile?: string;
+  tollFree?: string;
+  premiumRate?: string;
+  sharedCost?: string;
+  voip?: string;
+}
+
+export interface NumberTypeOptions {
+  countryCode?: string;
+}
+
+export type ShortNumberCost =
+  "tollFree" | "standardRate" | "premiumRate" | "unknown";
+
+/** Regular expressions for the short numbers dialled in a country */
+export interface ShortNumberRanges {
+  emergency?: string;
+  tollFree?: string;
+  standardRate?: string;
+  premiumRate?: string;
+  /** Short codes that cannot be reached from a mobile phone */
+  fixedLineOnly?: string;
+}
+
 export interface CountryInfo {
   name: string;
+  /** Common short names and former names, e.g. ["UK", "Great Britain"] */
+  aliases?: string[];
   iso2: string;
   iso3: string;
   dialCode: string;
   flag: string;
+  /** Prefix dialled to call abroad, e.g. "00" for DE, "011" for US */
+  internationalPrefix?: string;
+  /** National trunk prefix, e.g. "0" for DE/GB */
+  nationalPrefix?: string;
+  /** Grouping rules for the national number, first match wins */
+  formats?: FormatRule[];
+  /** Valid lengths of the national significant number */
+  possibleLengths?: number[];
+  /** Regular expression a valid national significant number must match */
+  nationalNumberPattern?: string;
+  /** Regular expressions for the national number of each line type */
+  numberTypes?: NumberTypeRanges;
+  /** National number prefixes identifying the country within a shared dial code */
+  areaCodes?: string[];
+  /** Country returned for a shared dial code when no area code matches */
+  mainCountryForDialCode?: boolean;
+  /** Emergency numbers, service numbers and SMS short codes */
+  shortNumbers?: ShortNumberRanges;
 }
 
 export interface DetectedCountry {
@@ -29,6 +186,9 @@ export interface PhoneNumberInfo {
   originalInput: string;
   digits: string;
   length: number;
+  /** Extension digits, or null when the input has none */
+  extension?: string | null;
+  type?: NumberType;
   possibleCountries: Array<{
     dialCode: string;
     countries: Array<{
@@ -43,8 +203,155 @@ export interface PhoneNumberInfo {
     international: string;
     e164: string;
     national: string;
+    rfc3966: string;
   } | null;
-  error?: string;
+  /** City, region or country, with `include: ["location"]` */
+  location?: string | null;
+  /** Originally allocated mobile carrier, with `include: ["carrier"]` */
+  carrier?: string | null;
+  /** IANA time zone IDs, with `include: ["timeZones"]` */
+  timeZones?: string[];
+  /** Present only for unusable input (valid is false) */
+  error?: PhoneForgeErrorCode;
+}
+
+export type PhoneNumberFormat =
+  "international" | "national" | "e164" | "rfc3966";
+
+export interface ParseOptions {
+  /** Country (ISO2, ISO3, or dial code) for numbers written without "+" */
+  defaultCountry?: string;
+  /** Detect the country from the digits when no default country applies (default true) */
+  autoDetect?: boolean;
+}
+
+export interface PhoneNumberFields {
+  countryCallingCode?: string | null;
+  nationalNumber: string;
+  country?: string | null;
+  extension?: string | null;
+}
+
+export interface PhoneNumberJSON {
+  /** E.164 form, or null when the country is unknown */
+  number: string | null;
+  countryCallingCode: string | null;
+  nationalNumber: string;
+  country: string | null;
+  extension: string | null;
+}
+
+export class PhoneNumber {
+  constructor(fields: PhoneNumberFields);
+  /** Country calling code digits, e.g. "44" */
+  readonly countryCallingCode: string | null;
+  /** National significant number, without country code or trunk prefix */
+  readonly nationalNumber: string;
+  /** ISO2 code of the country, if known */
+  readonly country: string | null;
+  readonly extension: string | null;
+  getCountryInfo(): CountryInfo | null;
+  isValid(): boolean;
+  getType(): NumberType;
+  format(kind?: PhoneNumberFormat): string;
+  /** Number as dialled from another country (ISO2, ISO3, or dial code) */
+  formatOutOfCountry(from: string): string;
+  equals(other: PhoneNumber | string): boolean;
+  toJSON(): PhoneNumberJSON;
+}
+
+export interface AsYouTypeOptions {
+  /** Country (ISO2, ISO3, or dial code) for numbers typed without "+" */
+  defaultCountry?: string;
+}
+
+export class AsYouTypeFormatter {
+  constructor(options?: AsYouTypeOptions);
+  /** Add a typed character (or pasted text) and return the formatted input */
+  input(char: string): string;
+  /** Remove the last typed digit and return the formatted input */
+  backspace(): string;
+  /** Clear all typed input */
+  reset(): string;
+  getFormatted(): string;
+  /** ISO2 code of the detected (or default) country */
+  getCountry(): string | null;
+  /** Typed digits, with a leading "+" for international input */
+  getDigits(): string;
+  /** Index in the formatted input just after the given number of digits (default: all) */
+  getCaretPosition(digitCount?: number): number;
+}
+
+export type Leniency = "possible" | "valid" | "strictlyGrouped";
+
+export interface FindOptions {
+  /** Country (ISO2, ISO3, or dial code) for numbers written without "+" */
+  defaultCountry?: string;
+  /** How strictly candidates are checked (default "valid") */
+  leniency?: Leniency;
+}
+
+export interface PhoneNumberMatch {
+  /** Offset of the first character of the match */
+  start: number;
+  /** Offset just past the last character of the match */
+  end: number;
+  /** Matched text, as written */
+  raw: string;
+  phoneNumber: PhoneNumber;
+}
+
+export interface BatchOptions {
+  /** Country (ISO2, ISO3, or dial code) for numbers written without "+" */
+  defaultCountry?: string;
+  /** Format of the `formatted` field (default "e164") */
+  format?: "e164" | "international" | "national" | "rfc3966";
+  /** Called for every invalid row */
+  onError?: (record: BatchRecord, index: number) => void;
+  /** Distinct inputs remembered by the parse cache (default 10000, 0 disables) */
+  cacheSize?: number;
+}
+
+export interface BatchRecord {
+  input: unknown;
+  /** E.164 form, or null for invalid rows */
+  e164: string | null;
+  /** Number in the requested format, or null for invalid rows */
+  formatted: string | null;
+  /** ISO2 code of the number's country, if known */
+  country: string | null;
+  valid: boolean;
+  /** Validation reason code for invalid rows, otherwise null */
+  error: ValidationReason | null;
+}
+
+export interface BatchStats {
+  total: number;
+  valid: number;
+  invalid: number;
+  /** Rows answered from the parse cache */
+  cacheHits: number;
+  /** Valid and invalid rows per ISO2 code ("unknown" when the country is not known) */
+  byCountry: Record<string, { valid: number; invalid: number }>;
+}
+
+export interface NormalizeBatch extends AsyncIterable<BatchRecord> {
+  /** Summary counts, updated as records are consumed */
+  readonly stats: BatchStats;
+}
+
+/** Failure reasons reported by the schema adapters (phone-forge/zod, /yup, /joi, /ajv) */
+export type PhoneSchemaReason = ValidationReason | "INVALID_TYPE";
+
+export interface PhoneSchemaOptions {
+  /** Country (ISO2, ISO3, or dial code) of numbers written without "+" */
+  country?: string;
+  /** Allowed number types (any type by default) */
+  types?: Exclude<NumberType, "unknown">[];
+  /** Format of the normalized value (default "e164") */
+  output?: "e164" | "international" | "national" | "rfc3966";
+  /** Messages replacing the defaults; "{types}" stands for the allowed types */
+  messages?: Partial<Record<PhoneSchemaReason, string>>;
 }
 
 export interface DatabaseStats {
@@ -54,53 +361,266 @@ export interface DatabaseStats {
   shortestDialCode: string;
   longestDialCode: string;
   commonRegions: Record<string, number>;
-  version: string;
-  lastUpdated: string;
+  version: string | null;
+  lastUpdated: string | null;
+  /** Metadata set in use: the prebuilt "max" or "min" set, or "custom" */
+  metadataSet: string;
 }
 
 export interface SearchCriteria {
+  /** Partial name, matched ignoring case and accents */
   name?: string;
+  /** Also match names in this locale, e.g. "de" */
+  locale?: string;
   dialCode?: string;
   iso2?: string;
   iso3?: string;
+  /** Maximum number of results */
+  limit?: number;
+}
+
+export type SearchMatchType =
+  "exact" | "prefix" | "alias" | "contains" | "fuzzy";
+
+export interface CountrySearchResult extends CountryInfo {
+  /** 1 for exact matches, lower for weaker ones */
+  score: number;
+  /** How the name matched, or null when no name was searched */
+  matchType: SearchMatchType | null;
+}
+
+export interface NameOptions {
+  /** Also match names in this locale, e.g. "de" */
+  locale?: string;
+}
+
+export interface LocationOptions {
+  /** Country (ISO2, ISO3, or dial code) for numbers written without "+" */
+  countryCode?: string;
+  /** Locale of the description (English by default) */
+  locale?: string;
+}
+
+export interface TimeZoneOptions {
+  /** Country (ISO2, ISO3, or dial code) for numbers written without "+" */
+  countryCode?: string;
+}
+
+export interface CarrierOptions {
+  /** Country (ISO2, ISO3, or dial code) for numbers written without "+" */
+  countryCode?: string;
+}
+
+export type InfoField = "location" | "carrier" | "timeZones";
+
+export interface InfoOptions {
+  /** Locale of the country names and the location (English by default) */
+  locale?: string;
+  /** Optional fields to add, each backed by an offline data table */
+  include?: InfoField[];
+}
+
+export interface LocalePack {
+  /** Locale tag, e.g. "de" */
+  locale: string;
+  /** Country names keyed by ISO2 code */
+  names: Record<string, string>;
+}
+
+/** Place names of one language ("phone-forge/geocoding/<locale>") */
+export interface GeocodingPack {
+  locale: string;
+  /** Place names keyed by calling code, then national number prefix */
+  prefixes: Record<string, Record<string, string>>;
+}
+
+/** Mobile carrier table ("phone-forge/carriers") */
+export interface CarrierData {
+  /** Carrier names keyed by calling code, then national number prefix */
+  prefixes: Record<string, Record<string, string>>;
+}
+
+/** Time zone table ("phone-forge/timezones") */
+export interface TimeZoneData {
+  /** IANA zone IDs keyed by ISO2 code */
+  countries: Record<string, string[]>;
+  /** IANA zone IDs keyed by ISO2 code, then national number prefix */
+  prefixes: Record<string, Record<string, string[]>>;
+}
+
+export interface GeoDataOptions {
+  /** Also load the place names of this locale */
+  locale?: string;
+  /** Register imported geocoding packs instead of loading the bundled tables */
+  geocoding?: GeocodingPack[];
+  /** Register an imported carrier table */
+  carriers?: CarrierData;
+  /** Register an imported time zone table */
+  timeZones?: TimeZoneData;
 }
 
 export interface PhoneUtils {
   getCountryByDialCode(dialCode: string): CountryInfo | null;
   getCountryByISO2(iso2: string): CountryInfo | null;
   getCountryByISO3(iso3: string): CountryInfo | null;
-  getCountryByName(name: string): CountryInfo | null;
+  getCountryByCode(code: string): CountryInfo | null;
+  getCountryByName(name: string, options?: NameOptions): CountryInfo | null;
   getCountriesByDialCode(dialCode: string): CountryInfo[];
-  searchCountries(criteria: SearchCriteria): CountryInfo[];
+  searchCountries(criteria: SearchCriteria): CountrySearchResult[];
   detectCountryFromPhoneNumber(phoneNumber: string): DetectedCountry[];
   formatPhoneNumberForCountry(phoneNumber: string, countryCode: string): string;
+  /** IANA time zone IDs of a country (ISO2, ISO3, or dial code) */
+  getCountryTimeZones(code: string): string[];
   getAllDialCodes(): string[];
   isValidDialCode(dialCode: string): boolean;
   getDatabaseStats(): DatabaseStats;
-  phoneDatabase: {
-    countries: CountryInfo[];
-    metadata: {
-      version: string;
-      lastUpdated: string;
-      totalCountries: number;
-      description: string;
-      license: string;
-    };
+  /** Country name in a locale, or the English name when the pack lacks it */
+  getCountryName(country: CountryInfo, locale?: string): string;
+  /** Add or replace the country names of a locale */
+  registerLocale(pack: LocalePack): void;
+  getAvailableLocales(): string[];
+  phoneDatabase: PhoneMetadata;
+}
+
+/** Phone database: the bundled one, or one passed to createPhoneForge */
+export interface PhoneMetadata {
+  countries: CountryInfo[];
+  metadata?: {
+    version?: string;
+    lastUpdated?: string;
+    totalCountries?: number;
+    description?: string;
+    license?: string;
   };
 }
 
+export type MetadataSet = "max" | "min";
+
+export interface PhoneForgeOptions {
+  /** Prebuilt set ("max" by default, or "min" without number types, short numbers and aliases) or your own database */
+  metadata?: MetadataSet | PhoneMetadata;
+}
+
+/** Library API bound to one metadata set */
+export interface PhoneForge {
+  parsePhoneNumber: typeof parsePhoneNumber;
+  PhoneNumber: typeof PhoneNumber;
+  AsYouTypeFormatter: typeof AsYouTypeFormatter;
+  formatPhoneNumber: typeof formatPhoneNumber;
+  formatOutOfCountry: typeof formatOutOfCountry;
+  isValidPhoneNumber: typeof isValidPhoneNumber;
+  validatePhoneNumber: typeof validatePhoneNumber;
+  compareNumbers: typeof compareNumbers;
+  extractDigits: typeof extractDigits;
+  getNumberType: typeof getNumberType;
+  getPhoneNumberInfo: typeof getPhoneNumberInfo;
+  getNumberLocation: typeof getNumberLocation;
+  getCarrier: typeof getCarrier;
+  getTimeZones: typeof getTimeZones;
+  loadGeoData: typeof loadGeoData;
+  findPhoneNumbers: typeof findPhoneNumbers;
+  normalizeBatch: typeof normalizeBatch;
+  isEmergencyNumber: typeof isEmergencyNumber;
+  isShortNumber: typeof isShortNumber;
+  getShortNumberCost: typeof getShortNumberCost;
+  canBeDialledFromMobile: typeof canBeDialledFromMobile;
+  phoneUtils: PhoneUtils;
+}
+
+/** Create a library instance bound to a prebuilt metadata set or your own metadata */
+export function createPhoneForge(options?: PhoneForgeOptions): PhoneForge;
+
+/** Check metadata against the database schema; throws InvalidMetadataError */
+export function validateMetadata(metadata: unknown): void;
+
+export function parsePhoneNumber(
+  input: string,
+  options?: ParseOptions
+): PhoneNumber;
+
 export function formatPhoneNumber(
   phoneNumber: string,
   options?: FormatOptions
 ): string;
 
+export function formatOutOfCountry(
+  phoneNumber: string,
+  options: OutOfCountryOptions
+): string;
+
 export function isValidPhoneNumber(
   phoneNumber: string,
   options?: ValidationOptions
 ): boolean;
 
+export function validatePhoneNumber(
+  phoneNumber: string,
+  options?: ValidationOptions
+): ValidationResult;
+
+/** Check whether two phone numbers refer to the same line */
+export function compareNumbers(
+  first: string,
+  second: string,
+  options?: CompareOptions
+): NumberMatch;
+
 export function extractDigits(phoneNumber: string): string;
 
-export function getPhoneNumberInfo(phoneNumber: string): PhoneNumberInfo;
+export function getNumberType(
+  phoneNumber: string,
+  options?: NumberTypeOptions
+): NumberType;
+
+export function getPhoneNumberInfo(
+  phoneNumber: string,
+  options?: InfoOptions
+): PhoneNumberInfo;
+
+export function getNumberLocation(
+  phoneNumber: string,
+  options?: LocationOptions
+): string | null;
+
+export function getCarrier(
+  phoneNumber: string,
+  options?: CarrierOptions
+): string | null;
+
+export function getTimeZones(
+  phoneNumber: string,
+  options?: TimeZoneOptions
+): string[];
+
+/** Load the location, carrier and time zone tables (and a locale's place names) up front, or register imported ones */
+export function loadGeoData(options?: GeoDataOptions): void;
+
+export function normalizeBatch(
+  inputs: Iterable<unknown> | AsyncIterable<unknown>,
+  options?: BatchOptions
+): NormalizeBatch;
+
+export function findPhoneNumbers(
+  text: string,
+  options?: FindOptions
+): PhoneNumberMatch[];
+
+export function isEmergencyNumber(
+  phoneNumber: string,
+  country: string
+): boolean;
+
+export function isShortNumber(phoneNumber: string, country: string): boolean;
+
+export function getShortNumberCost(
+  phoneNumber: string,
+  country: string
+): ShortNumberCost;
+
+/** `country` may be omitted for numbers in international format */
+export function canBeDialledFromMobile(
+  phoneNumber: string,
+  country?: string
+): boolean;
 
 export const phoneUtils: PhoneUtils;
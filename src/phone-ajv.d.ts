@@ -0,0 +1,8 @@
+import { PhoneSchemaOptions } from "./index";
+
+export { PhoneSchemaOptions, PhoneSchemaReason } from "./index";
+
+/** Add the "phone" format and the normalizing "phone" keyword to an Ajv instance */
+export function addPhoneFormat<
+  T extends { addFormat: Function; addKeyword: Function }
+>(ajv: T, options?: PhoneSchemaOptions): T;
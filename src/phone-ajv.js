@@ -0,0 +1,64 @@
+const { createPhoneCheck } = require("./phone-schema.js");
+
+/**
+ * Add phone number validation to an Ajv instance:
+ * - the "phone" format (`{ "type": "string", "format": "phone" }`) checks
+ *   numbers with the options given here
+ * - the "phone" keyword (`{ "type": "string", "phone": { "types": ["mobile"] } }`)
+ *   takes per-field options, reports the failure reason in `params.reason`
+ *   and replaces valid numbers with the normalized number (for properties
+ *   and array items; a number at the root of the data stays as it is)
+ * @param {Object} ajv - Ajv instance
+ * @param {Object} options - Schema options (defaults for the keyword)
+ * @param {string} options.country - Country (ISO2, ISO3, or dial code) of numbers written without "+"
+ * @param {Array} options.types - Allowed number types (any type by default)
+ * @param {string} options.output - Format of the normalized value: 'e164' (default), 'international', 'national', 'rfc3966'
+ * @param {Object} options.messages - Messages replacing the defaults, keyed by failure reason
+ * @returns {Object} The Ajv instance
+ */
+function addPhoneFormat(ajv, options = {}) {
+  const check = createPhoneCheck(options);
+
+  ajv.addFormat("phone", {
+    type: "string",
+    validate: (value) => check(value).valid,
+  });
+
+  ajv.addKeyword({
+    keyword: "phone",
+    type: "string",
+    schemaType: ["boolean", "object"],
+    modifying: true,
+    errors: true,
+    compile(schema) {
+      if (schema === false) return () => true;
+
+      const checkField =
+        schema === true ? check : createPhoneCheck({ ...options, ...schema });
+      return function validate(value, dataContext) {
+        const result = checkField(value);
+        if (!result.valid) {
+          validate.errors = [
+            {
+              keyword: "phone",
+              message: result.message,
+              params: { reason: result.reason },
+            },
+          ];
+          return false;
+        }
+
+        if (dataContext && dataContext.parentData !== undefined) {
+          dataContext.parentData[dataContext.parentDataProperty] = result.value;
+        }
+        return true;
+      };
+    },
+  });
+
+  return ajv;
+}
+
+module.exports = {
+  addPhoneFormat,
+};
@@ -0,0 +1,274 @@
+const phoneFormatter = require("./phone-formatter.js");
+const { InvalidCountryError } = require("./phone-errors.js");
+
+/**
+ * Digits used to pad a partial number until one of the country's format
+ * rules matches it
+ */
+const FILLER_DIGITS = ["9", "0", "1", "5"];
+
+/**
+ * Longest number (in digits) a partial input is padded to
+ */
+const MAX_NUMBER_LENGTH = 17;
+
+/**
+ * Pad a partial national number to the shortest length at which one of the
+ * country's format rules applies
+ * @param {string} partial - Digits typed so far
+ * @param {Object} country - Country object from the phone database
+ * @returns {string|null} Padded number, or null if no rule can apply
+ */
+function completeNumber(partial, country) {
+  if (partial.length === 0) return null;
+
+  for (let length = partial.length; length <= MAX_NUMBER_LENGTH; length++) {
+    for (const filler of FILLER_DIGITS) {
+      const padded = partial + filler.repeat(length - partial.length);
+      if (phoneFormatter.findFormatRule(padded, country)) {
+        return padded;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Cut a formatted string right after its n-th digit
+ * @param {string} formatted - Formatted number
+ * @param {number} count - Number of digits to keep
+ * @returns {string} Formatted prefix holding `count` digits
+ */
+function truncateAfterDigits(formatted, count) {
+  let seen = 0;
+  for (let i = 0; i < formatted.length; i++) {
+    if (/\d/.test(formatted[i]) && ++seen === count) {
+      return formatted.slice(0, i + 1);
+    }
+  }
+  return formatted;
+}
+
+/**
+ * Decide whether typed national digits start with the trunk prefix. While
+ * typing, a leading prefix is read as such as long as the rest can still
+ * become a number, so the grouping does not jump around at the last digit.
+ * @param {string} digits - Digits typed so far
+ * @param {Object} country - Country object from the phone database
+ * @returns {Object} The typed trunk prefix ("" if none) and the national number
+ */
+function splitNationalPrefix(digits, country) {
+  const prefix = country.nationalPrefix;
+  if (!prefix || !digits.startsWith(prefix)) {
+    return { typedPrefix: "", nationalNumber: digits };
+  }
+
+  const rest = digits.slice(prefix.length);
+  return rest.length === 0 || completeNumber(rest, country)
+    ? { typedPrefix: prefix, nationalNumber: rest }
+    : { typedPrefix: "", nationalNumber: digits };
+}
+
+/**
+ * Format partial national digits for a known country
+ * @param {string} digits - Digits typed so far
+ * @param {Object} country - Country object from the phone database
+ * @returns {string} Formatted input
+ */
+function formatNationalInput(digits, country) {
+  const { typedPrefix, nationalNumber } = splitNationalPrefix(digits, country);
+  const padded = completeNumber(nationalNumber, country);
+  if (!padded) return digits;
+
+  // Use the national format only when it shows exactly the digits typed
+  // (with or without the trunk prefix); otherwise fall back to plain grouping
+  let formatted = phoneFormatter.formatNationalNumber(padded, country);
+  const formattedDigits = formatted.replace(/\D/g, "");
+  if (formattedDigits !== `${typedPrefix}${padded}`) {
+    if (formattedDigits !== padded) {
+      formatted = phoneFormatter.groupNationalNumber(padded, country);
+    }
+    if (typedPrefix) {
+      formatted = `${typedPrefix} ${formatted}`;
+    }
+  }
+
+  const partial = truncateAfterDigits(formatted, digits.length);
+  // Wait until the first group is complete before adding punctuation
+  return /\d\D+\d/.test(partial) ? partial : digits;
+}
+
+/**
+ * Format partial international digits (typed after "+")
+ * @param {string} digits - Digits typed so far
+ * @param {Object} phoneUtils - Lookup functions used to detect the country
+ * @returns {Object} Formatted input and the detected country (or null)
+ */
+function formatInternationalInput(digits, phoneUtils) {
+  const detected =
+    digits.length > 0 ? phoneUtils.detectCountryFromPhoneNumber(digits) : [];
+  if (detected.length === 0) {
+    return { formatted: `+${digits}`, country: null };
+  }
+
+  const { dialCode, remainingDigits, countries } = detected[0];
+  const country = countries[0];
+  const callingCode = dialCode.replace(/\D/g, "");
+  if (remainingDigits.length === 0) {
+    return { formatted: `+${callingCode}`, country };
+  }
+
+  const padded = completeNumber(remainingDigits, country);
+  const grouped = padded
+    ? truncateAfterDigits(
+        phoneFormatter.groupNationalNumber(padded, country),
+        remainingDigits.length
+      )
+    : remainingDigits;
+  return { formatted: `+${callingCode} ${grouped}`, country };
+}
+
+/**
+ * Create the AsYouTypeFormatter class bound to a phone database
+ * @param {Object} phoneUtils - Lookup functions from createPhoneUtils
+ * @returns {Function} AsYouTypeFormatter class
+ */
+function createAsYouTypeFormatter(phoneUtils) {
+  /**
+   * Formats a phone number progressively as it is typed, one keystroke at a time
+   */
+  class AsYouTypeFormatter {
+    /**
+     * @param {Object} options - Formatter options
+     * @param {string} options.defaultCountry - Country (ISO2, ISO3, or dial code) for numbers typed without "+"
+     */
+    constructor(options = {}) {
+      const { defaultCountry } = options;
+
+      this.defaultCountry = null;
+      if (defaultCountry) {
+        this.defaultCountry = phoneUtils.getCountryByCode(defaultCountry);
+        if (!this.defaultCountry) {
+          throw new InvalidCountryError(
+            `Unknown country code: ${defaultCountry}`
+          );
+        }
+      }
+
+      this.reset();
+    }
+
+    /**
+     * Add typed characters. Digits are kept, a "+" is kept only as the first
+     * character, and anything else (spaces, dashes, brackets) is ignored.
+     * @param {string} char - Typed character (or pasted text)
+     * @returns {string} Formatted input so far
+     */
+    input(char) {
+      for (const c of char.toString()) {
+        if (/\d/.test(c)) {
+          this.digits += c;
+        } else if (c === "+" && !this.international && !this.digits) {
+          this.international = true;
+        }
+      }
+      return this.update();
+    }
+
+    /**
+     * Remove the last typed digit (or the leading "+")
+     * @returns {string} Formatted input so far
+     */
+    backspace() {
+      if (this.digits) {
+        this.digits = this.digits.slice(0, -1);
+      } else {
+        this.international = false;
+      }
+      return this.update();
+    }
+
+    /**
+     * Clear all typed input
+     * @returns {string} Empty string
+     */
+    reset() {
+      this.digits = "";
+      this.international = false;
+      return this.update();
+    }
+
+    /**
+     * Re-format the typed digits
+     * @returns {string} Formatted input so far
+     * @private
+     */
+    update() {
+      if (this.international) {
+        const { formatted, country } = formatInternationalInput(
+          this.digits,
+          phoneUtils
+        );
+        this.formatted = formatted;
+        this.country = country;
+      } else if (this.defaultCountry) {
+        this.formatted = formatNationalInput(this.digits, this.defaultCountry);
+        this.country = this.defaultCountry;
+      } else {
+        this.formatted = this.digits;
+        this.country = null;
+      }
+      return this.formatted;
+    }
+
+    /**
+     * Get the current formatted input
+     * @returns {string} Formatted input so far
+     */
+    getFormatted() {
+      return this.formatted;
+    }
+
+    /**
+     * Get the country the input is formatted for
+     * @returns {string|null} ISO2 code of the detected (or default) country
+     */
+    getCountry() {
+      return this.country ? this.country.iso2 : null;
+    }
+
+    /**
+     * Get the typed digits without formatting
+     * @returns {string} "+" followed by the digits for international input, otherwise the digits
+     */
+    getDigits() {
+      return this.international ? `+${this.digits}` : this.digits;
+    }
+
+    /**
+     * Get the caret position in the formatted input, so a UI can keep the
+     * cursor next to the same digit after re-formatting
+     * @param {number} digitCount - Number of typed digits before the caret (default: all)
+     * @returns {number} Index in the formatted string just after that digit
+     */
+    getCaretPosition(digitCount = this.digits.length) {
+      if (digitCount <= 0) {
+        return this.international ? 1 : 0;
+      }
+
+      let seen = 0;
+      for (let i = 0; i < this.formatted.length; i++) {
+        if (/\d/.test(this.formatted[i]) && ++seen === digitCount) {
+          return i + 1;
+        }
+      }
+      return this.formatted.length;
+    }
+  }
+
+  return AsYouTypeFormatter;
+}
+
+module.exports = {
+  createAsYouTypeFormatter,
+};
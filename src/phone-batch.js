@@ -0,0 +1,108 @@
+const { PhoneForgeError } = require("./phone-errors.js");
+
+/**
+ * Default number of distinct inputs remembered by a batch's parse cache
+ */
+const DEFAULT_CACHE_SIZE = 10000;
+
+/**
+ * Key used in the per-country stats for rows whose country is unknown
+ */
+const UNKNOWN_COUNTRY = "unknown";
+
+/**
+ * Create empty batch statistics
+ * @returns {Object} Counters for total, valid, invalid and cached rows, plus per-country counts
+ */
+function createStats() {
+  return { total: 0, valid: 0, invalid: 0, cacheHits: 0, byCountry: {} };
+}
+
+/**
+ * Count a normalized record in the batch statistics
+ * @param {Object} stats - Batch statistics
+ * @param {Object} record - Normalized record
+ */
+function recordStats(stats, record) {
+  const key = record.country || UNKNOWN_COUNTRY;
+  if (!stats.byCountry[key]) {
+    stats.byCountry[key] = { valid: 0, invalid: 0 };
+  }
+
+  const outcome = record.valid ? "valid" : "invalid";
+  stats.total++;
+  stats[outcome]++;
+  stats.byCountry[key][outcome]++;
+}
+
+/**
+ * Run a normalizer over many inputs, caching results for repeated inputs and
+ * keeping statistics. The normalizer must not throw; it reports problems in
+ * the record it returns.
+ * @param {Iterable|AsyncIterable} inputs - Raw phone numbers
+ * @param {Function} normalize - Turns one raw input into a record (without `input`)
+ * @param {Object} options - Batch options
+ * @param {Function} options.onError - Called with (record, index) for every invalid row
+ * @param {number} options.cacheSize - Distinct inputs to remember (default 10000, 0 disables)
+ * @returns {Object} Async iterable of records (consumed once) with a live `stats` property
+ */
+function createBatch(inputs, normalize, options = {}) {
+  if (
+    !inputs ||
+    typeof inputs === "string" ||
+    (typeof inputs[Symbol.iterator] !== "function" &&
+      typeof inputs[Symbol.asyncIterator] !== "function")
+  ) {
+    throw new PhoneForgeError(
+      "Inputs must be an array or an (async) iterable",
+      "INVALID_ARGUMENT"
+    );
+  }
+
+  const { onError, cacheSize = DEFAULT_CACHE_SIZE } = options;
+  const cache = new Map();
+  const stats = createStats();
+
+  async function* run() {
+    let index = 0;
+    for await (const input of inputs) {
+      const key = input === null || input === undefined ? "" : String(input);
+
+      let result = cache.get(key);
+      if (result) {
+        stats.cacheHits++;
+      } else {
+        result = normalize(input);
+        if (cacheSize > 0) {
+          // Maps iterate in insertion order, so the first key is the oldest
+          if (cache.size >= cacheSize) {
+            cache.delete(cache.keys().next().value);
+          }
+          cache.set(key, result);
+        }
+      }
+
+      const record = { input, ...result };
+      recordStats(stats, record);
+      if (!record.valid && onError) {
+        onError(record, index);
+      }
+
+      index++;
+      yield record;
+    }
+  }
+
+  // Inputs may be a one-shot async iterable, so the batch is consumed once
+  const records = run();
+  return {
+    stats,
+    [Symbol.asyncIterator]() {
+      return records;
+    },
+  };
+}
+
+module.exports = {
+  createBatch,
+};
@@ -0,0 +1,360 @@
+const fs = require("fs");
+const readline = require("readline");
+const phoneForge = require("./index.js");
+const { readCsvRows, formatCsvRow } = require("./phone-csv.js");
+const { PhoneForgeError } = require("./phone-errors.js");
+
+const USAGE = `Usage: phone-forge <command> [options]
+
+Commands:
+  format <number>   Format a number
+      --format <kind>     international (default), national, e164, rfc3966, us, outOfCountry
+      --country <code>    Country of numbers written without "+"
+      --from <code>       Country dialled from, for --format outOfCountry
+  validate <number> Check a number; exits with 1 when it is invalid
+      --country <code>    Expected country
+      --strict            Require a known country code
+  info <number>     Describe a number
+      --locale <tag>      Language of country names
+      --json              Print JSON
+  csv <file>        Normalize a phone column of a CSV file, adding the columns
+                    normalized, valid, country and error
+      --column <name>     Header of the phone column (required)
+      --country <code>    Country of numbers written without "+"
+      --format <kind>     e164 (default), international, national, rfc3966
+      --delimiter <char>  Field delimiter (default ",")
+      --out <file>        Output file (default: standard output)
+      --max-invalid <n>   Exit with 1 when more rows are invalid; a count or a
+                          percentage such as 5%
+
+Options:
+  --help              Show this help
+  --version           Show the version`;
+
+/**
+ * Options each command accepts: `values` take an argument, `flags` do not
+ */
+const COMMAND_OPTIONS = {
+  format: { values: ["format", "country", "from"], flags: [] },
+  validate: { values: ["country"], flags: ["strict"] },
+  info: { values: ["locale"], flags: ["json"] },
+  csv: {
+    values: ["column", "country", "format", "delimiter", "out", "max-invalid"],
+    flags: [],
+  },
+};
+
+/**
+ * Columns appended to every CSV row, in order
+ */
+const CSV_COLUMNS = ["normalized", "valid", "country", "error"];
+
+/**
+ * Report a command line mistake
+ * @param {string} message - What is wrong
+ * @returns {PhoneForgeError} Error with the INVALID_ARGUMENT code
+ */
+function usageError(message) {
+  return new PhoneForgeError(message, "INVALID_ARGUMENT");
+}
+
+/**
+ * Split command arguments into positional arguments and options
+ * @param {Array} args - Arguments after the command name
+ * @param {Object} spec - Accepted `values` and `flags`
+ * @returns {Object} `positional` arguments and `options` keyed by name
+ */
+function parseArgs(args, spec) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (spec.flags.includes(name)) {
+      options[name] = true;
+    } else if (spec.values.includes(name)) {
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (value === undefined) {
+        throw usageError(`Option --${name} needs a value`);
+      }
+      options[name] = value;
+    } else {
+      throw usageError(`Unknown option: ${arg}`);
+    }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Get the single number argument of a command
+ * @param {Array} positional - Positional arguments
+ * @param {string} command - Command name, for the error message
+ * @returns {string} The number as typed
+ */
+function getNumberArgument(positional, command) {
+  if (positional.length !== 1) {
+    throw usageError(`${command} takes one phone number`);
+  }
+  return positional[0];
+}
+
+/**
+ * Read the --max-invalid threshold
+ * @param {string} value - A count ("10") or a percentage ("5%")
+ * @returns {Function|null} Maps the row count to the largest allowed number
+ *   of invalid rows, or null without a threshold
+ */
+function parseThreshold(value) {
+  if (value === undefined) return null;
+
+  const match = /^(\d+(?:\.\d+)?)(%?)$/.exec(value);
+  if (!match) {
+    throw usageError(`--max-invalid must be a count or a percentage: ${value}`);
+  }
+  const amount = Number(match[1]);
+  return match[2] ? (total) => (total * amount) / 100 : () => amount;
+}
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ * @param {Object} stream - Writable stream
+ * @param {string} text - Text to write
+ * @returns {Promise} Resolves once more text may be written
+ */
+function write(stream, text) {
+  return stream.write(text)
+    ? Promise.resolve()
+    : new Promise((resolve) => stream.once("drain", resolve));
+}
+
+/**
+ * Wait until a file stream is open
+ * @param {Object} stream - File read or write stream
+ * @returns {Promise} Resolves with the stream, or rejects if the file cannot be opened
+ */
+function whenOpen(stream) {
+  return new Promise((resolve, reject) => {
+    stream.once("open", () => resolve(stream));
+    stream.once("error", reject);
+  });
+}
+
+/**
+ * Print a number formatted as requested
+ * @param {Array} args - Command arguments
+ * @param {Object} io - `stdout` and `stderr` streams
+ * @returns {number} Exit code
+ */
+function runFormat(args, io) {
+  const { positional, options } = parseArgs(args, COMMAND_OPTIONS.format);
+  const number = getNumberArgument(positional, "format");
+
+  io.stdout.write(
+    `${phoneForge.formatPhoneNumber(number, {
+      format: options.format || "international",
+      countryCode: options.country,
+      from: options.from,
+    })}\n`
+  );
+  return 0;
+}
+
+/**
+ * Print whether a number is valid, and why not
+ * @param {Array} args - Command arguments
+ * @param {Object} io - `stdout` and `stderr` streams
+ * @returns {number} Exit code: 0 when valid, 1 when invalid
+ */
+function runValidate(args, io) {
+  const { positional, options } = parseArgs(args, COMMAND_OPTIONS.validate);
+  const number = getNumberArgument(positional, "validate");
+
+  const result = phoneForge.validatePhoneNumber(number, {
+    countryCode: options.country,
+    strict: options.strict,
+  });
+  io.stdout.write(result.valid ? "valid\n" : `invalid: ${result.reason}\n`);
+  return result.valid ? 0 : 1;
+}
+
+/**
+ * Print what is known about a number
+ * @param {Array} args - Command arguments
+ * @param {Object} io - `stdout` and `stderr` streams
+ * @returns {number} Exit code: 0, or 1 for unusable input
+ */
+function runInfo(args, io) {
+  const { positional, options } = parseArgs(args, COMMAND_OPTIONS.info);
+  const number = getNumberArgument(positional, "info");
+
+  const info = phoneForge.getPhoneNumberInfo(number, {
+    locale: options.locale,
+  });
+  if (options.json) {
+    io.stdout.write(`${JSON.stringify(info, null, 2)}\n`);
+    return info.valid ? 0 : 1;
+  }
+  if (!info.valid) {
+    io.stdout.write(`invalid: ${info.error}\n`);
+    return 1;
+  }
+
+  const countries = info.possibleCountries.flatMap((match) =>
+    match.countries.map((country) => `${country.name} (${country.iso2})`)
+  );
+  const lines = [
+    ["type", info.type],
+    ["countries", countries.join(", ") || "unknown"],
+    ["extension", info.extension],
+    ...Object.entries(info.formats || {}),
+  ];
+  lines
+    .filter(([, value]) => value)
+    .forEach(([label, value]) => {
+      io.stdout.write(`${label.padEnd(14)}${value}\n`);
+    });
+  return 0;
+}
+
+/**
+ * Normalize the phone column of a CSV file, streaming row by row
+ * @param {Array} args - Command arguments
+ * @param {Object} io - `stdout` and `stderr` streams
+ * @returns {Promise<number>} Exit code: 1 when invalid rows exceed --max-invalid
+ */
+async function runCsv(args, io) {
+  const { positional, options } = parseArgs(args, COMMAND_OPTIONS.csv);
+  if (positional.length !== 1) {
+    throw usageError("csv takes one input file");
+  }
+  if (!options.column) {
+    throw usageError("csv needs --column");
+  }
+  const delimiter = options.delimiter || ",";
+  if (delimiter.length !== 1) {
+    throw usageError("--delimiter must be a single character");
+  }
+  const maxInvalid = parseThreshold(options["max-invalid"]);
+
+  const input = await whenOpen(
+    fs.createReadStream(positional[0], { encoding: "utf8" })
+  );
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const rows = readCsvRows(lines, delimiter);
+
+  const first = await rows.next();
+  if (first.done) {
+    throw usageError(`${positional[0]} is empty`);
+  }
+  const header = first.value;
+  header[0] = header[0].replace(/^\uFEFF/, ""); // Byte order mark
+  const column = header.indexOf(options.column);
+  if (column === -1) {
+    throw usageError(
+      `Column "${options.column}" not found; columns are: ${header.join(", ")}`
+    );
+  }
+
+  // The batch reads one number per row and yields its record in the same
+  // order, so rows wait here until their record comes out
+  const pending = [];
+  async function* numbers() {
+    for await (const row of rows) {
+      pending.push(row);
+      yield row[column] || "";
+    }
+  }
+  const batch = phoneForge.normalizeBatch(numbers(), {
+    defaultCountry: options.country,
+    format: options.format || "e164",
+  });
+
+  const output = options.out
+    ? await whenOpen(fs.createWriteStream(options.out))
+    : io.stdout;
+  await write(
+    output,
+    `${formatCsvRow(header.concat(CSV_COLUMNS), delimiter)}\n`
+  );
+  for await (const record of batch) {
+    const row = pending.shift();
+    const values = [
+      record.formatted,
+      record.valid,
+      record.country,
+      record.error,
+    ];
+    await write(output, `${formatCsvRow(row.concat(values), delimiter)}\n`);
+  }
+  if (options.out) {
+    await new Promise((resolve, reject) => {
+      output.on("error", reject);
+      output.end(resolve);
+    });
+  }
+
+  const { total, valid, invalid } = batch.stats;
+  const percent = total > 0 ? ((invalid / total) * 100).toFixed(1) : "0.0";
+  io.stderr.write(
+    `${total} rows: ${valid} valid, ${invalid} invalid (${percent}%)\n`
+  );
+
+  if (maxInvalid && invalid > maxInvalid(total)) {
+    io.stderr.write(
+      `Too many invalid rows: more than --max-invalid ${options["max-invalid"]}\n`
+    );
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * Run the command line tool
+ * @param {Array} args - Command line arguments (without node and the script)
+ * @param {Object} io - `stdout` and `stderr` streams (process streams by default)
+ * @returns {Promise<number>} Exit code: 0 on success, 1 when a number or file
+ *   is rejected, 2 for usage errors
+ */
+async function run(args, io = process) {
+  const [command, ...rest] = args;
+
+  try {
+    switch (command) {
+      case "format":
+        return runFormat(rest, io);
+      case "validate":
+        return runValidate(rest, io);
+      case "info":
+        return runInfo(rest, io);
+      case "csv":
+        return await runCsv(rest, io);
+      case "--version":
+        io.stdout.write(`${require("../package.json").version}\n`);
+        return 0;
+      case "--help":
+      case undefined:
+        io.stdout.write(`${USAGE}\n`);
+        return 0;
+      default:
+        throw usageError(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    io.stderr.write(`phone-forge: ${error.message}\n`);
+    if (error.code === "INVALID_ARGUMENT") {
+      io.stderr.write("Run phone-forge --help for usage\n");
+      return 2;
+    }
+    return 1;
+  }
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,77 @@
+/**
+ * Split CSV lines into rows of fields (RFC 4180). Fields may be quoted, and
+ * quoted fields may hold delimiters, doubled quotes and line breaks. Blank
+ * lines between rows are skipped.
+ * @param {AsyncIterable} lines - Lines of the file, without line endings
+ * @param {string} delimiter - Field delimiter (one character)
+ * @returns {AsyncIterable} Arrays of field values, one per row
+ */
+async function* readCsvRows(lines, delimiter = ",") {
+  let fields = [];
+  let field = "";
+  let quoted = false;
+
+  for await (const line of lines) {
+    if (!quoted && line === "") continue;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char !== '"') {
+          field += char;
+        } else if (line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else if (char === '"' && field === "") {
+        quoted = true;
+      } else if (char === delimiter) {
+        fields.push(field);
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+
+    // A quoted field continues on the next line
+    if (quoted) {
+      field += "\n";
+      continue;
+    }
+
+    fields.push(field);
+    yield fields;
+    fields = [];
+    field = "";
+  }
+
+  // Unterminated quote at the end of the file: keep what was read
+  if (quoted) {
+    fields.push(field.slice(0, -1));
+    yield fields;
+  }
+}
+
+/**
+ * Join fields into one CSV line, quoting fields that need it
+ * @param {Array} fields - Field values
+ * @param {string} delimiter - Field delimiter (one character)
+ * @returns {string} CSV line without line ending
+ */
+function formatCsvRow(fields, delimiter = ",") {
+  return fields
+    .map((value) => {
+      const text = value === null || value === undefined ? "" : String(value);
+      return text.includes(delimiter) || /["\r\n]/.test(text)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+    })
+    .join(delimiter);
+}
+
+module.exports = {
+  readCsvRows,
+  formatCsvRow,
+};
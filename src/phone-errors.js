@@ -0,0 +1,92 @@
+/**
+ * Base class of every error thrown by the library. `code` is stable across
+ * releases and safe to branch on; `message` is for humans and may change.
+ */
+class PhoneForgeError extends Error {
+  /**
+   * @param {string} message - Human readable description
+   * @param {string} code - Machine readable error code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * A country code (ISO2, ISO3 or dial code) that is not in the database, or a
+ * number whose calling code does not fit the expected country
+ */
+class InvalidCountryError extends PhoneForgeError {
+  /**
+   * @param {string} message - Human readable description
+   */
+  constructor(message) {
+    super(message, "INVALID_COUNTRY_CODE");
+  }
+}
+
+/**
+ * A number with too few or too many digits for the requested operation
+ */
+class InvalidLengthError extends PhoneForgeError {
+  /**
+   * @param {string} message - Human readable description
+   */
+  constructor(message) {
+    super(message, "INVALID_LENGTH");
+  }
+}
+
+/**
+ * An operation that needs a country the number or options do not provide
+ */
+class MissingCountryError extends PhoneForgeError {
+  /**
+   * @param {string} message - Human readable description
+   */
+  constructor(message) {
+    super(message, "MISSING_COUNTRY");
+  }
+}
+
+/**
+ * A format name that is not supported
+ */
+class UnsupportedFormatError extends PhoneForgeError {
+  /**
+   * @param {string} message - Human readable description
+   */
+  constructor(message) {
+    super(message, "UNSUPPORTED_FORMAT");
+  }
+}
+
+/**
+ * Metadata supplied to createPhoneForge that does not match the database
+ * schema. `errors` lists every problem found, each with its JSON path.
+ */
+class InvalidMetadataError extends PhoneForgeError {
+  /**
+   * @param {Array} errors - Problems found, e.g. "countries[3].iso2 must be 2 uppercase letters"
+   */
+  constructor(errors) {
+    super(
+      `Invalid metadata: ${errors[0]}${
+        errors.length > 1 ? ` (and ${errors.length - 1} more)` : ""
+      }`,
+      "INVALID_METADATA"
+    );
+    this.errors = errors;
+  }
+}
+
+module.exports = {
+  PhoneForgeError,
+  InvalidCountryError,
+  InvalidLengthError,
+  MissingCountryError,
+  UnsupportedFormatError,
+  InvalidMetadataError,
+};
@@ -0,0 +1,178 @@
+const phoneFormatter = require("./phone-formatter.js");
+const { splitInput } = require("./phone-number.js");
+
+/**
+ * A run of digits joined by common separators (at most three between two
+ * digits), optionally led by "+" or "(" and followed by an extension
+ */
+const CANDIDATE_PATTERN =
+  /(?:\+[ \t\u00a0]*|\([ \t\u00a0]*)?\d(?:[ \t\u00a0.\-\/()]{0,3}\d)*(?:[ \t\u00a0,]*(?:ext(?:ension|n)?\.?|x|#)[ \t\u00a0]*\d{1,7})?/giu;
+
+/**
+ * Dates such as 2024-01-15, 15.01.2024 or 1/15/24
+ */
+const DATE_PATTERN = /^\d{1,4}[-./]\d{1,2}[-./]\d{1,4}$/;
+
+/**
+ * Letters or digits touching a candidate mean it is part of a longer token
+ * (an order ID, a product code, a URL path...)
+ */
+const WORD_CHARACTER = /[\p{L}\d]/u;
+
+/**
+ * Longest run of whitespace-separated chunks tried inside a rejected candidate
+ */
+const MAX_SUB_MATCH_CHUNKS = 6;
+
+/**
+ * Count the digits of a candidate, ignoring any extension
+ * @param {string} raw - Candidate text
+ * @returns {number} Number of digits in the number part
+ */
+function countNumberDigits(raw) {
+  return splitInput(raw).number.replace(/\D/g, "").length;
+}
+
+/**
+ * Cheap checks that rule a candidate out before it is parsed
+ * @param {string} text - Full text being scanned
+ * @param {number} start - Start offset of the candidate
+ * @param {number} end - End offset of the candidate (exclusive)
+ * @returns {boolean} True if the candidate is worth parsing
+ */
+function isPlausibleCandidate(text, start, end) {
+  const raw = text.slice(start, end);
+  const digitCount = countNumberDigits(raw);
+
+  return (
+    digitCount >= 7 &&
+    digitCount <= 17 &&
+    !DATE_PATTERN.test(raw) &&
+    !WORD_CHARACTER.test(text.charAt(start - 1)) &&
+    !WORD_CHARACTER.test(text.charAt(end))
+  );
+}
+
+/**
+ * Find the longest (then leftmost) whitespace-delimited part of a rejected
+ * candidate that is accepted on its own, e.g. the number in
+ * "2024-01-15 212-869-1246"
+ * @param {string} text - Full text being scanned
+ * @param {number} start - Start offset of the candidate
+ * @param {string} raw - Candidate text
+ * @param {Function} accept - Returns a parsed number or null for a raw match
+ * @returns {Object|null} Accepted match or null
+ */
+function findSubMatch(text, start, raw, accept) {
+  const chunks = [];
+  const chunkPattern = /\S+/g;
+  let chunk;
+  while ((chunk = chunkPattern.exec(raw)) !== null) {
+    chunks.push({
+      start: start + chunk.index,
+      end: start + chunk.index + chunk[0].length,
+    });
+  }
+
+  const maxSize = Math.min(chunks.length - 1, MAX_SUB_MATCH_CHUNKS);
+  for (let size = maxSize; size >= 1; size--) {
+    for (let first = 0; first + size <= chunks.length; first++) {
+      const subStart = chunks[first].start;
+      const subEnd = chunks[first + size - 1].end;
+      if (!isPlausibleCandidate(text, subStart, subEnd)) continue;
+
+      const subRaw = text.slice(subStart, subEnd);
+      const phoneNumber = accept(subRaw);
+      if (phoneNumber) {
+        return { start: subStart, end: subEnd, raw: subRaw, phoneNumber };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Scan text for phone number candidates
+ * @param {string} text - Text to scan
+ * @param {Function} accept - Returns a parsed number or null for a raw match
+ * @returns {Array} Matches with start/end offsets, raw text and parsed number
+ */
+function findMatches(text, accept) {
+  const matches = [];
+  const pattern = new RegExp(CANDIDATE_PATTERN.source, CANDIDATE_PATTERN.flags);
+
+  let candidate;
+  while ((candidate = pattern.exec(text)) !== null) {
+    const start = candidate.index;
+    const end = start + candidate[0].length;
+
+    const phoneNumber = isPlausibleCandidate(text, start, end)
+      ? accept(candidate[0])
+      : null;
+
+    const match = phoneNumber
+      ? { start, end, raw: candidate[0], phoneNumber }
+      : findSubMatch(text, start, candidate[0], accept);
+
+    if (match) {
+      matches.push(match);
+      // Rescan whatever follows the accepted part of the candidate
+      pattern.lastIndex = match.end;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Check that parentheses in a candidate open and close in order
+ * @param {string} raw - Candidate text
+ * @returns {boolean} True if balanced
+ */
+function hasBalancedParentheses(raw) {
+  let depth = 0;
+  for (const char of raw) {
+    if (char === "(") depth++;
+    if (char === ")" && --depth < 0) return false;
+  }
+  return depth === 0;
+}
+
+/**
+ * Check that the digit groups of a raw match are the ones the number's
+ * country uses, in national or international form. Digits written without
+ * any separator also pass.
+ * @param {string} raw - Raw match
+ * @param {PhoneNumber} phoneNumber - Parsed number for the match
+ * @returns {boolean} True if the grouping matches the country's formatting rules
+ */
+function isStrictlyGrouped(raw, phoneNumber) {
+  const { number } = splitInput(raw);
+  const groups = number.match(/\d+/g) || [];
+
+  if (groups.length <= 1) return true;
+  if (!hasBalancedParentheses(number)) return false;
+
+  const country = phoneNumber.getCountryInfo();
+  if (!country) return false;
+
+  const { nationalNumber, countryCallingCode } = phoneNumber;
+  const nsnGroups =
+    phoneFormatter.groupNationalNumber(nationalNumber, country).match(/\d+/g) ||
+    [];
+  const nationalGroups =
+    phoneFormatter
+      .formatNationalNumber(nationalNumber, country)
+      .match(/\d+/g) || [];
+
+  const written = groups.join(" ");
+  return [nsnGroups, nationalGroups, [countryCallingCode, ...nsnGroups]].some(
+    (expected) => expected.join(" ") === written
+  );
+}
+
+module.exports = {
+  findMatches,
+  isStrictlyGrouped,
+};
@@ -0,0 +1,658 @@
+const phoneValidator = require("./phone-validator.js");
+const phoneFormatter = require("./phone-formatter.js");
+const phoneFinder = require("./phone-finder.js");
+const phoneBatch = require("./phone-batch.js");
+const phoneGeo = require("./phone-geo.js");
+const { validateMetadata } = require("./phone-metadata.js");
+const { createPhoneUtils } = require("./phone-utils.js");
+const {
+  createPhoneNumberApi,
+  splitInput,
+  replaceInternationalPrefix,
+} = require("./phone-number.js");
+const { createAsYouTypeFormatter } = require("./phone-as-you-type.js");
+const { createShortNumberApi } = require("./phone-short-numbers.js");
+const {
+  PhoneForgeError,
+  InvalidCountryError,
+  InvalidLengthError,
+  MissingCountryError,
+  UnsupportedFormatError,
+} = require("./phone-errors.js");
+
+/**
+ * Enhanced US phone number formatting
+ * @param {string} digits - Digits only string
+ * @returns {string} Formatted US phone number
+ */
+function formatUSPhoneNumber(digits) {
+  // Handle 11-digit numbers (with country code)
+  if (digits.length === 11) {
+    if (digits[0] !== "1") {
+      throw new InvalidCountryError(
+        "11-digit numbers must start with country code 1"
+      );
+    }
+    const areaCode = digits.slice(1, 4);
+    const exchange = digits.slice(4, 7);
+    const number = digits.slice(7, 11);
+    return `+1 (${areaCode}) ${exchange}-${number}`;
+  }
+
+  // Handle 10-digit numbers
+  if (digits.length === 10) {
+    const areaCode = digits.slice(0, 3);
+    const exchange = digits.slice(3, 6);
+    const number = digits.slice(6, 10);
+    return `+1 (${areaCode}) ${exchange}-${number}`;
+  }
+
+  // Handle 7-digit numbers (local format)
+  if (digits.length === 7) {
+    const exchange = digits.slice(0, 3);
+    const number = digits.slice(3, 7);
+    return `${exchange}-${number}`;
+  }
+
+  throw new InvalidLengthError(
+    "US phone numbers must be 7, 10, or 11 digits long"
+  );
+}
+
+/**
+ * Extract digits from phone number (unchanged from original)
+ * @param {string} phoneNumber - Phone number string
+ * @returns {string} Digits only
+ */
+function extractDigits(phoneNumber) {
+  if (!phoneNumber) return "";
+  return phoneNumber.toString().replace(/\D/g, "");
+}
+
+/**
+ * Optional fields of getPhoneNumberInfo, each backed by an offline data table
+ */
+const INFO_FIELDS = ["location", "carrier", "timeZones"];
+
+/**
+ * Create a library instance whose functions all use the supplied metadata
+ * instead of the bundled database. The metadata is checked against the
+ * database schema first.
+ * @param {Object} options - Instance options
+ * @param {Object} options.metadata - Database with a `countries` array (see CONTRIBUTING.md)
+ * @param {string} options.metadataSet - Name reported by getDatabaseStats (default "custom")
+ * @returns {Object} The library API (formatPhoneNumber, parsePhoneNumber, phoneUtils...) bound to the metadata
+ */
+function createPhoneForge({ metadata, metadataSet = "custom" } = {}) {
+  validateMetadata(metadata);
+
+  const phoneUtils = createPhoneUtils(metadata, metadataSet);
+  const { PhoneNumber, parsePhoneNumber } = createPhoneNumberApi(phoneUtils);
+  const AsYouTypeFormatter = createAsYouTypeFormatter(phoneUtils);
+  const {
+    isEmergencyNumber,
+    isShortNumber,
+    getShortNumberCost,
+    canBeDialledFromMobile,
+  } = createShortNumberApi(phoneUtils, parsePhoneNumber);
+
+  /**
+   * Enhanced phone number formatting with country detection and validation
+   * @param {string} phoneNumber - The phone number to format
+   * @param {Object} options - Formatting options
+   * @param {string} options.format - Format type: 'us', 'international', 'national', 'e164', 'rfc3966', 'outOfCountry'
+   * @param {string} options.countryCode - Country code (ISO2, ISO3, or dial code)
+   * @param {string} options.from - Country dialled from, for the 'outOfCountry' format
+   * @param {boolean} options.autoDetect - Auto-detect country from phone number
+   * @param {boolean} options.strict - Strict validation mode
+   * @returns {string} Formatted phone number
+   */
+  function formatPhoneNumber(phoneNumber, options = {}) {
+    if (!phoneNumber) {
+      throw new PhoneForgeError("Phone number is required", "NOT_A_NUMBER");
+    }
+
+    const {
+      format = "us",
+      countryCode,
+      from,
+      autoDetect = false,
+      strict = false,
+    } = options;
+
+    // Remove the extension and all non-digit characters
+    const { number, extension, local } = splitInput(phoneNumber.toString());
+    const digits = number.replace(/\D/g, "");
+
+    if (digits.length === 0) {
+      throw new PhoneForgeError(
+        "Phone number must contain at least one digit",
+        "NOT_A_NUMBER"
+      );
+    }
+
+    if (local && !countryCode) {
+      throw new MissingCountryError(
+        "A local tel: URI without a global phone-context needs the countryCode option"
+      );
+    }
+
+    const formatType = format.toLowerCase();
+
+    // Short codes such as 112 or 911 are dialled exactly as written. The US
+    // format checks US short codes, if the metadata has the US.
+    const isLocalFormat = ["us", "usa", "national"].includes(formatType);
+    const shortNumberCountry =
+      countryCode ||
+      (formatType !== "national" && phoneUtils.getCountryByISO2("US")
+        ? "US"
+        : null);
+    if (
+      isLocalFormat &&
+      shortNumberCountry &&
+      !extension &&
+      isShortNumber(number, shortNumberCountry)
+    ) {
+      return digits;
+    }
+
+    // Parse once; national format always tries to detect the country
+    const parsed = parsePhoneNumber(phoneNumber, {
+      defaultCountry: countryCode,
+      autoDetect: autoDetect || formatType === "national",
+    });
+
+    // Handle different format types
+    switch (formatType) {
+      case "us":
+      case "usa":
+        return phoneFormatter.appendExtension(
+          formatUSPhoneNumber(digits),
+          extension
+        );
+
+      case "international":
+        if (
+          strict &&
+          parsed.countryCallingCode &&
+          parsed.nationalNumber.length === 0
+        ) {
+          throw new InvalidLengthError(
+            "Invalid phone number: no national number after country code"
+          );
+        }
+        return parsed.format("international");
+
+      case "national":
+      case "e164":
+      case "rfc3966":
+        return parsed.format(formatType);
+
+      case "outofcountry":
+        if (!from) {
+          throw new MissingCountryError(
+            "The from option is required for outOfCountry format"
+          );
+        }
+        return parsed.formatOutOfCountry(from);
+
+      default:
+        throw new UnsupportedFormatError(`Unsupported format: ${format}`);
+    }
+  }
+
+  /**
+   * Format a phone number the way it is dialled from another country
+   * @param {string} phoneNumber - The phone number to format
+   * @param {Object} options - Formatting options
+   * @param {string} options.from - Country dialled from (ISO2, ISO3, or dial code)
+   * @param {string} options.countryCode - Country of numbers written without "+" (defaults to `from`)
+   * @returns {string} Number with the origin's international prefix, or in national format from its own country
+   */
+  function formatOutOfCountry(phoneNumber, options = {}) {
+    return formatPhoneNumber(phoneNumber, {
+      format: "outOfCountry",
+      countryCode: options.countryCode || options.from,
+      from: options.from,
+    });
+  }
+
+  /**
+   * Validate a phone number and report why it is invalid
+   * @param {string} phoneNumber - Phone number to validate
+   * @param {Object} options - Validation options
+   * @param {string} options.countryCode - Expected country code
+   * @param {boolean} options.strict - Strict validation mode
+   * @returns {Object} Result with `valid` and, for invalid numbers, a `reason` code
+   */
+  function validatePhoneNumber(phoneNumber, options = {}) {
+    const invalid = (reason) => ({ valid: false, reason });
+
+    if (!phoneNumber) return invalid("NOT_A_NUMBER");
+
+    const { countryCode, strict = false } = options;
+
+    // Basic format validation (an extension is allowed at the end)
+    const { number, local } = splitInput(phoneNumber.toString());
+    const validPattern = /^[\d\s\-\(\)\+\.]+$/;
+    if (!validPattern.test(number)) {
+      return invalid("NOT_A_NUMBER");
+    }
+
+    if (!/\d/.test(number)) return invalid("NOT_A_NUMBER");
+
+    const country = countryCode
+      ? phoneUtils.getCountryByCode(countryCode)
+      : null;
+    if (countryCode && !country) return invalid("INVALID_COUNTRY_CODE");
+
+    // The digits of a local tel: URI do not start with a country code
+    if (local && !country) return invalid("INVALID_COUNTRY_CODE");
+
+    // After an international prefix the digits start with the country code
+    const text = replaceInternationalPrefix(number, country);
+    const digits = text.replace(/\D/g, "");
+
+    // Country-specific validation
+    if (country) {
+      const reason = phoneValidator.checkNumberForCountry(
+        digits,
+        country,
+        strict,
+        text.trim().startsWith("+")
+      );
+      return reason ? invalid(reason) : { valid: true };
+    }
+
+    // Try to detect if it's a valid international number
+    if (strict) {
+      // In strict mode, check minimum length and detectability
+      if (digits.length < 7) return invalid("TOO_SHORT");
+
+      const detectedCountries = phoneUtils.detectCountryFromPhoneNumber(digits);
+      if (detectedCountries.length === 0) {
+        return invalid("INVALID_COUNTRY_CODE");
+      }
+
+      // Valid when any candidate country accepts the national number
+      const reasons = detectedCountries.flatMap((match) =>
+        match.countries.map((country) =>
+          phoneValidator.checkNationalNumber(match.remainingDigits, country)
+        )
+      );
+      return reasons.includes(null) ? { valid: true } : invalid(reasons[0]);
+    }
+
+    // Basic length validation
+    const reason = phoneValidator.checkGenericLength(digits);
+    return reason ? invalid(reason) : { valid: true };
+  }
+
+  /**
+   * Enhanced phone number validation with country-specific rules
+   * @param {string} phoneNumber - Phone number to validate
+   * @param {Object} options - Validation options
+   * @param {string} options.countryCode - Expected country code
+   * @param {boolean} options.strict - Strict validation mode
+   * @returns {boolean} True if valid
+   */
+  function isValidPhoneNumber(phoneNumber, options = {}) {
+    return validatePhoneNumber(phoneNumber, options).valid;
+  }
+
+  /**
+   * Check whether two phone numbers refer to the same line, e.g. to dedupe
+   * contacts. Numbers may be written with "+", an international prefix
+   * ("00", or the default country's, such as "011" in the US), nationally
+   * or as "tel:" URIs.
+   * @param {string} first - First phone number
+   * @param {string} second - Second phone number
+   * @param {Object} options - Comparison options
+   * @param {string} options.defaultCountry - Country (ISO2, ISO3, or dial code) of numbers written without "+"
+   * @returns {string} "EXACT_MATCH" (same country code, national number and
+   *   extension), "NSN_MATCH" (same national number, one side without a
+   *   country), "SHORT_NSN_MATCH" (one national number ends the other, or only
+   *   one side has an extension) or "NO_MATCH"
+   */
+  function compareNumbers(first, second, options = {}) {
+    const { defaultCountry } = options;
+    if (defaultCountry && !phoneUtils.getCountryByCode(defaultCountry)) {
+      throw new InvalidCountryError(`Unknown country code: ${defaultCountry}`);
+    }
+
+    // Only a "+" or an international prefix gives a number a country of its
+    // own; otherwise it takes the default country, or none
+    let a;
+    let b;
+    try {
+      a = parsePhoneNumber(first, { defaultCountry, autoDetect: false });
+      b = parsePhoneNumber(second, { defaultCountry, autoDetect: false });
+    } catch (error) {
+      return "NO_MATCH";
+    }
+
+    if (a.extension && b.extension && a.extension !== b.extension) {
+      return "NO_MATCH";
+    }
+
+    let aNumber = a.nationalNumber;
+    let bNumber = b.nationalNumber;
+    if (a.countryCallingCode && b.countryCallingCode) {
+      if (a.countryCallingCode !== b.countryCallingCode) return "NO_MATCH";
+      if (aNumber === bNumber && a.extension === b.extension) {
+        return "EXACT_MATCH";
+      }
+    } else if (a.countryCallingCode || b.countryCallingCode) {
+      // Read the number without a country as written in the other one's
+      // country, so its trunk prefix or calling code is not compared
+      const known = a.countryCallingCode ? a : b;
+      const national = phoneValidator.toNationalNumber(
+        (known === a ? b : a).nationalNumber,
+        known.getCountryInfo()
+      );
+      if (known === a) bNumber = national;
+      else aNumber = national;
+    }
+
+    // Equal numbers with a country on both sides and equal extensions
+    // returned EXACT_MATCH above
+    if (aNumber === bNumber) {
+      return a.extension === b.extension ? "NSN_MATCH" : "SHORT_NSN_MATCH";
+    }
+    return aNumber.endsWith(bNumber) || bNumber.endsWith(aNumber)
+      ? "SHORT_NSN_MATCH"
+      : "NO_MATCH";
+  }
+
+  /**
+   * Determine the kind of line a phone number belongs to
+   * @param {string} phoneNumber - Phone number to classify
+   * @param {Object} options - Classification options
+   * @param {string} options.countryCode - Country code (ISO2, ISO3, or dial code)
+   * @returns {string} One of "mobile", "fixedLine", "fixedLineOrMobile", "tollFree",
+   *   "premiumRate", "sharedCost", "voip" or "unknown"
+   */
+  function getNumberType(phoneNumber, options = {}) {
+    const digits = extractDigits(phoneNumber);
+    if (digits.length === 0) return "unknown";
+
+    return parsePhoneNumber(phoneNumber, {
+      defaultCountry: options.countryCode,
+    }).getType();
+  }
+
+  /**
+   * Get the city or region a number belongs to, from offline prefix tables.
+   * Numbers without a known area code (including mobile numbers) are
+   * described by their country.
+   * @param {string} phoneNumber - Phone number to locate
+   * @param {Object} options - Lookup options
+   * @param {string} options.countryCode - Country code (ISO2, ISO3, or dial code) for nationally written numbers
+   * @param {string} options.locale - Locale of the description (e.g. 'de'; English by default)
+   * @returns {string|null} Place name (e.g. "Berlin", "New York, NY"), or null for invalid
+   *   and non-geographic numbers
+   */
+  function getNumberLocation(phoneNumber, options = {}) {
+    if (extractDigits(phoneNumber).length === 0) return null;
+
+    return phoneGeo.describeLocation(
+      parsePhoneNumber(phoneNumber, { defaultCountry: options.countryCode }),
+      options.locale
+    );
+  }
+
+  /**
+   * Get the carrier a mobile number range was allocated to, from an offline
+   * prefix table. Ported numbers keep their original carrier here.
+   * @param {string} phoneNumber - Phone number to look up
+   * @param {Object} options - Lookup options
+   * @param {string} options.countryCode - Country code (ISO2, ISO3, or dial code) for nationally written numbers
+   * @returns {string|null} Carrier name, or null when the allocation is not known
+   */
+  function getCarrier(phoneNumber, options = {}) {
+    if (extractDigits(phoneNumber).length === 0) return null;
+
+    return phoneGeo.describeCarrier(
+      parsePhoneNumber(phoneNumber, { defaultCountry: options.countryCode })
+    );
+  }
+
+  /**
+   * Get the IANA time zones a phone number can be in, e.g. to schedule calls.
+   * The country comes from the number (or `countryCode`); for countries
+   * spanning several zones the area code narrows the list down.
+   * @param {string} phoneNumber - Phone number to look up
+   * @param {Object} options - Lookup options
+   * @param {string} options.countryCode - Country code (ISO2, ISO3, or dial code) for nationally written numbers
+   * @returns {Array} Zone IDs such as "America/New_York"; empty when the country is unknown
+   */
+  function getTimeZones(phoneNumber, options = {}) {
+    if (extractDigits(phoneNumber).length === 0) return [];
+
+    return phoneGeo.describeTimeZones(
+      parsePhoneNumber(phoneNumber, { defaultCountry: options.countryCode })
+    );
+  }
+
+  /**
+   * Get information about a phone number
+   * @param {string} phoneNumber - Phone number to analyze
+   * @param {Object} options - Analysis options
+   * @param {string} options.locale - Locale of the country names (e.g. 'de'; English by default)
+   * @param {Array} options.include - Optional fields to add: 'location', 'carrier', 'timeZones'
+   * @returns {Object} Phone number information; for unusable input, `valid` is false
+   *   and `error` holds an error code such as "NOT_A_NUMBER"
+   */
+  function getPhoneNumberInfo(phoneNumber, options = {}) {
+    const { include = [] } = options;
+    if (
+      !Array.isArray(include) ||
+      !include.every((field) => INFO_FIELDS.includes(field))
+    ) {
+      throw new PhoneForgeError(
+        `Include must be an array of: ${INFO_FIELDS.join(", ")}`,
+        "INVALID_ARGUMENT"
+      );
+    }
+
+    if (!phoneNumber) {
+      return { valid: false, error: "NOT_A_NUMBER" };
+    }
+
+    const { number, extension, local } = splitInput(phoneNumber.toString());
+    const digits = number.replace(/\D/g, "");
+
+    if (digits.length === 0) {
+      return { valid: false, error: "NOT_A_NUMBER" };
+    }
+
+    // A local tel: URI under a domain-name context has no country to report
+    if (local) {
+      return { valid: false, error: "MISSING_COUNTRY" };
+    }
+
+    const detectedCountries = phoneUtils.detectCountryFromPhoneNumber(
+      replaceInternationalPrefix(number, null).replace(/\D/g, "")
+    );
+    const parsed = parsePhoneNumber(phoneNumber);
+
+    // The location, carrier and time zone tables are optional; they are only
+    // loaded for the fields asked for, so plain info calls never pull them in
+    const geo = {};
+    if (include.includes("location")) {
+      geo.location = phoneGeo.describeLocation(parsed, options.locale);
+    }
+    if (include.includes("carrier")) {
+      geo.carrier = phoneGeo.describeCarrier(parsed);
+    }
+    if (include.includes("timeZones")) {
+      geo.timeZones = phoneGeo.describeTimeZones(parsed);
+    }
+
+    return {
+      valid: true,
+      originalInput: phoneNumber,
+      digits: digits,
+      length: digits.length,
+      extension: extension,
+      type: parsed.getType(),
+      ...geo,
+      possibleCountries: detectedCountries.map((match) => ({
+        dialCode: match.dialCode,
+        countries: match.countries.map((c) => ({
+          name: phoneUtils.getCountryName(c, options.locale),
+          iso2: c.iso2,
+          iso3: c.iso3,
+          flag: c.flag,
+        })),
+        nationalNumber: match.remainingDigits,
+      })),
+      formats: parsed.countryCallingCode
+        ? {
+            international: parsed.format("international"),
+            e164: parsed.format("e164"),
+            national: parsed.format("national"),
+            rfc3966: parsed.format("rfc3966"),
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Find phone numbers in free text
+   * @param {string} text - Text to scan (emails, chat logs, scraped HTML...)
+   * @param {Object} options - Search options
+   * @param {string} options.defaultCountry - Country (ISO2, ISO3, or dial code) for nationally written numbers
+   * @param {string} options.leniency - 'possible', 'valid' or 'strictlyGrouped'
+   * @returns {Array} Matches with `start`/`end` offsets, the `raw` text and the parsed `phoneNumber`
+   */
+  function findPhoneNumbers(text, options = {}) {
+    const { defaultCountry, leniency = "valid" } = options;
+
+    if (!["possible", "valid", "strictlyGrouped"].includes(leniency)) {
+      throw new PhoneForgeError(
+        `Unsupported leniency: ${leniency}`,
+        "INVALID_ARGUMENT"
+      );
+    }
+    if (defaultCountry && !phoneUtils.getCountryByCode(defaultCountry)) {
+      throw new InvalidCountryError(`Unknown country code: ${defaultCountry}`);
+    }
+    if (!text) return [];
+
+    return phoneFinder.findMatches(text.toString(), (raw) => {
+      const parsed = parsePhoneNumber(raw, { defaultCountry });
+      const result = validatePhoneNumber(
+        raw,
+        parsed.country ? { countryCode: parsed.country } : {}
+      );
+
+      // A possible number has a plausible length, even if its range is unassigned
+      if (leniency === "possible") {
+        return result.valid || result.reason === "INVALID_FOR_REGION"
+          ? parsed
+          : null;
+      }
+
+      if (!parsed.country || !result.valid) return null;
+      if (leniency === "strictlyGrouped") {
+        return phoneFinder.isStrictlyGrouped(raw, parsed) ? parsed : null;
+      }
+      return parsed;
+    });
+  }
+
+  /**
+   * Normalize many phone numbers without throwing on bad rows
+   * @param {Iterable|AsyncIterable} inputs - Raw phone numbers (array, iterable or async iterable)
+   * @param {Object} options - Batch options
+   * @param {string} options.defaultCountry - Country (ISO2, ISO3, or dial code) for nationally written numbers
+   * @param {string} options.format - Format of the `formatted` field: 'e164', 'international', 'national', 'rfc3966'
+   * @param {Function} options.onError - Called with (record, index) for every invalid row
+   * @param {number} options.cacheSize - Distinct inputs to remember (default 10000, 0 disables)
+   * @returns {Object} Async iterable of `{ input, e164, formatted, country, valid, error }` records,
+   *   with summary counts in its `stats` property
+   */
+  function normalizeBatch(inputs, options = {}) {
+    const { defaultCountry, format = "e164", onError, cacheSize } = options;
+
+    if (!["e164", "international", "national", "rfc3966"].includes(format)) {
+      throw new UnsupportedFormatError(`Unsupported format: ${format}`);
+    }
+    if (defaultCountry && !phoneUtils.getCountryByCode(defaultCountry)) {
+      throw new InvalidCountryError(`Unknown country code: ${defaultCountry}`);
+    }
+
+    return phoneBatch.createBatch(
+      inputs,
+      (input) => normalizeRecord(input, defaultCountry, format),
+      { onError, cacheSize }
+    );
+  }
+
+  /**
+   * Normalize one batch row, reporting problems instead of throwing
+   * @param {*} input - Raw phone number
+   * @param {string} defaultCountry - Country for nationally written numbers
+   * @param {string} format - Format of the `formatted` field
+   * @returns {Object} Record without the `input` field; `error` holds a validation reason code
+   */
+  function normalizeRecord(input, defaultCountry, format) {
+    const invalid = (error, country = null) => ({
+      e164: null,
+      formatted: null,
+      country,
+      valid: false,
+      error,
+    });
+
+    let parsed;
+    try {
+      parsed = parsePhoneNumber(input, { defaultCountry });
+    } catch (error) {
+      return invalid("NOT_A_NUMBER");
+    }
+    if (!parsed.country) return invalid("INVALID_COUNTRY_CODE");
+
+    const result = validatePhoneNumber(input, { countryCode: parsed.country });
+    if (!result.valid) return invalid(result.reason, parsed.country);
+
+    return {
+      e164: parsed.format("e164"),
+      formatted: parsed.format(format),
+      country: parsed.country,
+      valid: true,
+      error: null,
+    };
+  }
+
+  return {
+    parsePhoneNumber,
+    PhoneNumber,
+    AsYouTypeFormatter,
+    formatPhoneNumber,
+    formatOutOfCountry,
+    isValidPhoneNumber,
+    validatePhoneNumber,
+    compareNumbers,
+    extractDigits,
+    getNumberType,
+    getPhoneNumberInfo,
+    getNumberLocation,
+    getCarrier,
+    getTimeZones,
+    loadGeoData: phoneGeo.loadGeoData,
+    findPhoneNumbers,
+    normalizeBatch,
+    isEmergencyNumber,
+    isShortNumber,
+    getShortNumberCost,
+    canBeDialledFromMobile,
+    phoneUtils,
+  };
+}
+
+module.exports = {
+  createPhoneForge,
+  extractDigits,
+};
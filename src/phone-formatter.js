@@ -0,0 +1,123 @@
+const regexCache = new Map();
+
+/**
+ * Compile (and cache) a database pattern anchored at the start of the input
+ * @param {string} source - Regular expression source from the database
+ * @param {boolean} fullMatch - Anchor at the end as well
+ * @returns {RegExp} Compiled regular expression
+ */
+function compilePattern(source, fullMatch = false) {
+  const key = `${fullMatch ? "$" : "^"}${source}`;
+  let regex = regexCache.get(key);
+  if (!regex) {
+    regex = new RegExp(fullMatch ? `^(?:${source})$` : `^(?:${source})`);
+    regexCache.set(key, regex);
+  }
+  return regex;
+}
+
+/**
+ * Find the formatting rule that applies to a national significant number
+ * @param {string} nationalNumber - National number without country or trunk prefix
+ * @param {Object} country - Country object from the phone database
+ * @returns {Object|null} Matching rule or null if the country has none
+ */
+function findFormatRule(nationalNumber, country) {
+  if (!country || !Array.isArray(country.formats)) {
+    return null;
+  }
+
+  return (
+    country.formats.find(
+      (rule) =>
+        (!rule.leadingDigits ||
+          compilePattern(rule.leadingDigits).test(nationalNumber)) &&
+        compilePattern(rule.pattern, true).test(nationalNumber)
+    ) || null
+  );
+}
+
+/**
+ * Remove the national trunk prefix (e.g. the leading "0" in DE/GB) from digits
+ * written in national form. The prefix is only removed when the remaining
+ * digits match one of the country's formatting rules.
+ * @param {string} digits - Digits only string
+ * @param {Object} country - Country object from the phone database
+ * @returns {string} National significant number
+ */
+function stripNationalPrefix(digits, country) {
+  const prefix = country && country.nationalPrefix;
+  if (!prefix || !digits.startsWith(prefix)) {
+    return digits;
+  }
+
+  const withoutPrefix = digits.slice(prefix.length);
+  if (
+    findFormatRule(digits, country) ||
+    !findFormatRule(withoutPrefix, country)
+  ) {
+    return digits;
+  }
+  return withoutPrefix;
+}
+
+/**
+ * Format a national significant number using the country's grouping rules
+ * @param {string} nationalNumber - National number without country or trunk prefix
+ * @param {Object} country - Country object from the phone database
+ * @returns {string} Number in national format, or the digits unchanged when no rule applies
+ */
+function formatNationalNumber(nationalNumber, country) {
+  const rule = findFormatRule(nationalNumber, country);
+  if (!rule) {
+    return nationalNumber;
+  }
+
+  const template =
+    rule.nationalFormat || `${country.nationalPrefix || ""}${rule.format}`;
+  return nationalNumber.replace(compilePattern(rule.pattern, true), template);
+}
+
+/**
+ * Group a national significant number the way it is written after the
+ * country code in international form
+ * @param {string} nationalNumber - National number without country or trunk prefix
+ * @param {Object} country - Country object from the phone database
+ * @returns {string} Grouped national number, or the digits unchanged when no rule applies
+ */
+function groupNationalNumber(nationalNumber, country) {
+  const rule = findFormatRule(nationalNumber, country);
+  return rule
+    ? nationalNumber.replace(compilePattern(rule.pattern, true), rule.format)
+    : nationalNumber;
+}
+
+/**
+ * Format a national significant number in international form
+ * @param {string} nationalNumber - National number without country or trunk prefix
+ * @param {Object} country - Country object from the phone database
+ * @returns {string} Dial code followed by the grouped national number
+ */
+function formatInternationalNumber(nationalNumber, country) {
+  return `${country.dialCode} ${groupNationalNumber(nationalNumber, country)}`;
+}
+
+/**
+ * Append an extension to a formatted number
+ * @param {string} formatted - Formatted phone number
+ * @param {string|null} extension - Extension digits
+ * @returns {string} Formatted number followed by " ext. N" when an extension is given
+ */
+function appendExtension(formatted, extension) {
+  return extension ? `${formatted} ext. ${extension}` : formatted;
+}
+
+module.exports = {
+  compilePattern,
+  findFormatRule,
+  stripNationalPrefix,
+  groupNationalNumber,
+  formatNationalNumber,
+  formatInternationalNumber,
+  appendExtension,
+};
@@ -0,0 +1,260 @@
+const phoneLocales = require("./phone-locales.js");
+const { PhoneForgeError } = require("./phone-errors.js");
+
+/**
+ * Languages with a geocoding pack in src/geocoding. English covers every
+ * prefix; other packs only hold names that differ from English.
+ */
+const GEOCODING_LOCALES = ["de", "en", "fr"];
+
+/**
+ * Number types whose prefixes say nothing about a place
+ */
+const NON_GEOGRAPHIC_TYPES = ["tollFree", "premiumRate", "sharedCost", "voip"];
+
+/**
+ * Number types that can be matched against the carrier table
+ */
+const CARRIER_TYPES = ["mobile", "fixedLineOrMobile", "unknown"];
+
+/**
+ * Loaded geocoding packs: language → prefix table
+ */
+const geocoding = new Map();
+
+/**
+ * Loaded carrier prefix table, or null until first use
+ */
+let carriers = null;
+
+/**
+ * Loaded time zone table, or null until first use
+ */
+let timeZones = null;
+
+/**
+ * Fail for a table the ES modules cannot load on demand
+ * @param {string} name - Table name, e.g. "Carrier data"
+ * @param {string} subpath - Package subpath that exports it
+ * @returns {PhoneForgeError} DATA_NOT_LOADED error
+ */
+function notLoaded(name, subpath) {
+  return new PhoneForgeError(
+    `${name} is not loaded: import it from "phone-forge/${subpath}" and pass it to loadGeoData`,
+    "DATA_NOT_LOADED"
+  );
+}
+
+/**
+ * Reduce a locale tag to its language ("de-AT" → "de")
+ * @param {string} locale - Locale tag (English when omitted)
+ * @returns {string} Language code
+ */
+function toLanguage(locale) {
+  return locale ? locale.toLowerCase().split(/[-_]/)[0] : "en";
+}
+
+/**
+ * Get the geocoding prefix table of a language, loading it on first use
+ * @param {string} language - Language code
+ * @returns {Object} Place names keyed by calling code, then national prefix
+ */
+function getGeocoding(language) {
+  if (!geocoding.has(language)) {
+    // The ES module build turns these requires into null
+    const pack = require(`./geocoding/${language}.json`);
+    if (!pack) {
+      throw notLoaded(`Geocoding pack "${language}"`, `geocoding/${language}`);
+    }
+    geocoding.set(language, pack.prefixes);
+  }
+  return geocoding.get(language);
+}
+
+/**
+ * Get the carrier prefix table, loading it on first use
+ * @returns {Object} Carrier names keyed by calling code, then national prefix
+ */
+function getCarriers() {
+  if (!carriers) {
+    const data = require("./carriers.json");
+    if (!data) throw notLoaded("Carrier data", "carriers");
+    carriers = data.prefixes;
+  }
+  return carriers;
+}
+
+/**
+ * Get the time zone table, loading it on first use
+ * @returns {Object} IANA zones per ISO2 code (`countries`) and per ISO2 code
+ *   and national prefix (`prefixes`)
+ */
+function getTimeZoneData() {
+  if (!timeZones) {
+    timeZones = require("./timezones.json");
+    if (!timeZones) throw notLoaded("Time zone data", "timezones");
+  }
+  return timeZones;
+}
+
+/**
+ * Find the entry for the longest prefix of a national number
+ * @param {Object} prefixes - Values keyed by national number prefix
+ * @param {string} nationalNumber - National significant number
+ * @returns {*} Value of the longest matching prefix, or null
+ */
+function findLongestPrefix(prefixes, nationalNumber) {
+  if (!prefixes) return null;
+
+  for (let length = nationalNumber.length; length > 0; length--) {
+    const value = prefixes[nationalNumber.slice(0, length)];
+    if (value) return value;
+  }
+  return null;
+}
+
+/**
+ * Look up a number in a table keyed by calling code, then national prefix
+ * @param {Object} table - Prefix table (calling code → prefix → value)
+ * @param {PhoneNumber} phoneNumber - Parsed phone number
+ * @returns {string|null} Value of the longest matching prefix, or null
+ */
+function lookupPrefix(table, phoneNumber) {
+  return findLongestPrefix(
+    table[phoneNumber.countryCallingCode],
+    phoneNumber.nationalNumber
+  );
+}
+
+/**
+ * Describe where a number is located: the city or region of its area code,
+ * or else its country
+ * @param {PhoneNumber} phoneNumber - Parsed phone number
+ * @param {string} locale - Locale of the description (English by default)
+ * @returns {string|null} Place name, or null for invalid or non-geographic numbers
+ */
+function describeLocation(phoneNumber, locale) {
+  const country = phoneNumber.getCountryInfo();
+  if (!country || !phoneNumber.isValid()) return null;
+
+  const type = phoneNumber.getType();
+  if (NON_GEOGRAPHIC_TYPES.includes(type)) return null;
+
+  // Mobile prefixes name an operator, not a place
+  if (type !== "mobile") {
+    const language = toLanguage(locale);
+    const place =
+      (GEOCODING_LOCALES.includes(language) &&
+        language !== "en" &&
+        lookupPrefix(getGeocoding(language), phoneNumber)) ||
+      lookupPrefix(getGeocoding("en"), phoneNumber);
+    if (place) return place;
+  }
+
+  return phoneLocales.getCountryName(country, locale);
+}
+
+/**
+ * Name the carrier a mobile number was originally allocated to. Numbers
+ * can be ported, so this is the original operator, not necessarily the
+ * current one.
+ * @param {PhoneNumber} phoneNumber - Parsed phone number
+ * @returns {string|null} Carrier name, or null when unknown
+ */
+function describeCarrier(phoneNumber) {
+  if (!phoneNumber.isValid()) return null;
+  if (!CARRIER_TYPES.includes(phoneNumber.getType())) return null;
+  return lookupPrefix(getCarriers(), phoneNumber);
+}
+
+/**
+ * Get the IANA time zones of a country
+ * @param {string} iso2 - ISO2 code of the country
+ * @returns {Array} Zone IDs, empty for unknown countries
+ */
+function getCountryTimeZones(iso2) {
+  return (getTimeZoneData().countries[iso2] || []).slice();
+}
+
+/**
+ * Get the IANA time zones a number can be in. In countries spanning several
+ * zones (US, CA, AU, BR, RU) the area code narrows them down; elsewhere, and
+ * for non-geographic numbers, all zones of the country apply.
+ * @param {PhoneNumber} phoneNumber - Parsed phone number
+ * @returns {Array} Zone IDs, empty when the country is unknown
+ */
+function describeTimeZones(phoneNumber) {
+  if (!phoneNumber.country) return [];
+
+  const zones = findLongestPrefix(
+    getTimeZoneData().prefixes[phoneNumber.country],
+    phoneNumber.nationalNumber
+  );
+  return zones ? zones.slice() : getCountryTimeZones(phoneNumber.country);
+}
+
+/**
+ * Load the geocoding, carrier and time zone tables up front, so the first
+ * lookup does not pay for reading them, or register tables imported from
+ * the package subpaths (as the ES modules require)
+ * @param {Object} options - Loading options
+ * @param {string} options.locale - Also load the geocoding pack of this locale
+ * @param {Array} options.geocoding - Geocoding packs to register ("phone-forge/geocoding/<locale>")
+ * @param {Object} options.carriers - Carrier table to register ("phone-forge/carriers")
+ * @param {Object} options.timeZones - Time zone table to register ("phone-forge/timezones")
+ */
+function loadGeoData(options = {}) {
+  const {
+    geocoding: packs,
+    carriers: carrierData,
+    timeZones: zoneData,
+  } = options;
+
+  if (packs || carrierData || zoneData) {
+    (packs || []).forEach((pack) => {
+      if (!pack || typeof pack.locale !== "string" || !pack.prefixes) {
+        throw new PhoneForgeError(
+          "Geocoding pack must have a locale and prefixes",
+          "INVALID_ARGUMENT"
+        );
+      }
+      geocoding.set(toLanguage(pack.locale), pack.prefixes);
+    });
+    if (carrierData) {
+      if (!carrierData.prefixes) {
+        throw new PhoneForgeError(
+          "Carrier data must have prefixes",
+          "INVALID_ARGUMENT"
+        );
+      }
+      carriers = carrierData.prefixes;
+    }
+    if (zoneData) {
+      if (!zoneData.countries || !zoneData.prefixes) {
+        throw new PhoneForgeError(
+          "Time zone data must have countries and prefixes",
+          "INVALID_ARGUMENT"
+        );
+      }
+      timeZones = zoneData;
+    }
+    return;
+  }
+
+  getGeocoding("en");
+  getCarriers();
+  getTimeZoneData();
+
+  const language = toLanguage(options.locale);
+  if (GEOCODING_LOCALES.includes(language)) {
+    getGeocoding(language);
+  }
+}
+
+module.exports = {
+  describeLocation,
+  describeCarrier,
+  describeTimeZones,
+  getCountryTimeZones,
+  loadGeoData,
+};
@@ -0,0 +1,14 @@
+import { ExtensionFactory, StringSchema } from "joi";
+import { PhoneSchemaOptions } from "./index";
+
+export { PhoneSchemaOptions, PhoneSchemaReason } from "./index";
+
+/** The `Joi.phone()` schema added by phoneExtension */
+export interface PhoneSchema extends StringSchema {
+  country(country: string): this;
+  types(types: NonNullable<PhoneSchemaOptions["types"]>): this;
+  output(output: NonNullable<PhoneSchemaOptions["output"]>): this;
+}
+
+/** Joi extension adding the `phone` type: `Joi.extend(phoneExtension)` */
+export const phoneExtension: ExtensionFactory;
@@ -0,0 +1,81 @@
+const {
+  MESSAGES,
+  describeTypes,
+  createPhoneCheck,
+} = require("./phone-schema.js");
+
+/**
+ * Joi extension adding a `phone` type: `Joi.extend(phoneExtension)`, then
+ * `Joi.phone().country("US").types(["mobile"]).output("e164")`. Valid
+ * numbers are converted to the normalized number; invalid ones fail with
+ * the error code `phone.<reason>`, e.g. "phone.TOO_SHORT".
+ * @param {Object} joi - The Joi root object
+ * @returns {Object} Extension definition
+ */
+function phoneExtension(joi) {
+  const messages = {};
+  Object.keys(MESSAGES).forEach((reason) => {
+    messages[`phone.${reason}`] = `{{#label}}: ${MESSAGES[reason].replace(
+      "{types}",
+      "{#types}"
+    )}`;
+  });
+
+  /**
+   * Set one schema option, checking it right away
+   * @param {Object} schema - Phone schema
+   * @param {string} name - Option name
+   * @param {*} value - Option value
+   * @returns {Object} New schema with the option set
+   */
+  function setOption(schema, name, value) {
+    createPhoneCheck({ [name]: value });
+    return schema.$_setFlag(name, value);
+  }
+
+  return {
+    type: "phone",
+    base: joi.string(),
+    messages,
+    rules: {
+      country: {
+        method(country) {
+          return setOption(this, "country", country);
+        },
+      },
+      types: {
+        method(types) {
+          return setOption(this, "types", types);
+        },
+      },
+      output: {
+        method(output) {
+          return setOption(this, "output", output);
+        },
+      },
+    },
+    validate(value, helpers) {
+      const types = helpers.schema.$_getFlag("types");
+      const result = createPhoneCheck({
+        country: helpers.schema.$_getFlag("country"),
+        types,
+        output: helpers.schema.$_getFlag("output"),
+      })(value);
+
+      if (!result.valid) {
+        return {
+          value,
+          errors: helpers.error(`phone.${result.reason}`, {
+            reason: result.reason,
+            types: describeTypes(types || []),
+          }),
+        };
+      }
+      return { value: result.value };
+    },
+  };
+}
+
+module.exports = {
+  phoneExtension,
+};
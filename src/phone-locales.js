@@ -0,0 +1,136 @@
+const { PhoneForgeError } = require("./phone-errors.js");
+
+/**
+ * Locales with a name pack in src/locales. Packs are required on first use,
+ * so applications that never ask for a locale do not load them. The ES
+ * modules cannot load them on demand: there they are imported from
+ * "phone-forge/locales/<locale>" and registered.
+ */
+const BUNDLED_LOCALES = [
+  "ar",
+  "de",
+  "es",
+  "fr",
+  "hi",
+  "it",
+  "ja",
+  "ko",
+  "nl",
+  "pl",
+  "pt",
+  "ru",
+  "sv",
+  "tr",
+  "zh",
+];
+
+/**
+ * Loaded packs: locale → Map of ISO2 → country name. The database names are
+ * English, so "en" needs no pack.
+ */
+const localeNames = new Map([["en", new Map()]]);
+
+/**
+ * Reduce a name to a form that ignores case, accents and apostrophe style,
+ * so "cote d'ivoire" matches "Côte d’Ivoire"
+ * @param {string} text - Country name or search text
+ * @returns {string} Normalized text
+ */
+function normalizeName(text) {
+  return text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[\u2018\u2019\u02bc`]/g, "'")
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Add (or replace) the country names of a locale
+ * @param {Object} pack - Locale pack
+ * @param {string} pack.locale - Locale tag, e.g. "de"
+ * @param {Object} pack.names - Country names keyed by ISO2 code
+ */
+function registerLocale(pack) {
+  if (!pack || typeof pack.locale !== "string" || !pack.names) {
+    throw new PhoneForgeError(
+      "Locale pack must have a locale and names",
+      "INVALID_ARGUMENT"
+    );
+  }
+
+  const names = new Map();
+  Object.keys(pack.names).forEach((iso2) => {
+    names.set(iso2.toUpperCase(), pack.names[iso2]);
+  });
+  localeNames.set(pack.locale.toLowerCase(), names);
+}
+
+/**
+ * Register a bundled locale pack
+ * @param {string} locale - Locale with a pack in src/locales
+ * @throws {PhoneForgeError} DATA_NOT_LOADED when the pack cannot be loaded on demand (ES modules)
+ */
+function loadBundledLocale(locale) {
+  // The ES module build turns this require into null
+  const pack = require(`./locales/${locale}.json`);
+  if (!pack) {
+    throw new PhoneForgeError(
+      `Locale pack "${locale}" is not loaded: import it from "phone-forge/locales/${locale}" and pass it to registerLocale`,
+      "DATA_NOT_LOADED"
+    );
+  }
+  registerLocale(pack);
+}
+
+/**
+ * Get the country names of a locale, loading a bundled pack if needed.
+ * Regional tags fall back to their language ("de-AT" uses "de").
+ * @param {string} locale - Locale tag
+ * @returns {Map} Country names keyed by ISO2 code
+ */
+function getLocaleNames(locale) {
+  const tag = locale.toLowerCase();
+  const language = tag.split(/[-_]/)[0];
+
+  for (const candidate of [tag, language]) {
+    if (localeNames.has(candidate)) {
+      return localeNames.get(candidate);
+    }
+    if (BUNDLED_LOCALES.includes(candidate)) {
+      loadBundledLocale(candidate);
+      return localeNames.get(candidate);
+    }
+  }
+
+  throw new PhoneForgeError(
+    `Unsupported locale: ${locale}`,
+    "INVALID_ARGUMENT"
+  );
+}
+
+/**
+ * Get a country's name in a locale
+ * @param {Object} country - Country object from the phone database
+ * @param {string} locale - Locale tag (English name when omitted)
+ * @returns {string} Localized name, or the English name if the pack lacks it
+ */
+function getCountryName(country, locale) {
+  if (!locale) return country.name;
+  return getLocaleNames(locale).get(country.iso2) || country.name;
+}
+
+/**
+ * Get the locales that can be used, bundled or registered
+ * @returns {Array} Locale tags
+ */
+function getAvailableLocales() {
+  return [...new Set([...BUNDLED_LOCALES, ...localeNames.keys()])].sort();
+}
+
+module.exports = {
+  normalizeName,
+  registerLocale,
+  getCountryName,
+  getAvailableLocales,
+};
@@ -0,0 +1,191 @@
+const { InvalidMetadataError } = require("./phone-errors.js");
+
+/**
+ * Country fields left out of the "min" metadata set. Without them numbers
+ * still parse, format and validate, but getType() reports "unknown", short
+ * numbers are not recognized and country search ignores aliases.
+ */
+const MAX_ONLY_FIELDS = ["aliases", "numberTypes", "shortNumbers"];
+
+/**
+ * Check that a value is a string the RegExp constructor accepts
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a valid pattern
+ */
+function isPattern(value) {
+  if (typeof value !== "string") return false;
+  try {
+    new RegExp(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check that a value is a non-empty string of digits
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a digit string
+ */
+function isDigits(value) {
+  return typeof value === "string" && /^\d+$/.test(value);
+}
+
+/**
+ * Check that a value is a plain object (not null or an array)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for an object
+ */
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Checks for every country field: whether it is required, how to test a
+ * value and what to report when the test fails
+ */
+const COUNTRY_FIELDS = {
+  name: {
+    required: true,
+    check: (value) => typeof value === "string" && value.length > 0,
+    expected: "a non-empty string",
+  },
+  aliases: {
+    check: (value) =>
+      Array.isArray(value) && value.every((alias) => typeof alias === "string"),
+    expected: "an array of strings",
+  },
+  iso2: {
+    required: true,
+    check: (value) => typeof value === "string" && /^[A-Z]{2}$/.test(value),
+    expected: "2 uppercase letters",
+  },
+  iso3: {
+    required: true,
+    check: (value) => typeof value === "string" && /^[A-Z]{3}$/.test(value),
+    expected: "3 uppercase letters",
+  },
+  dialCode: {
+    required: true,
+    check: (value) => typeof value === "string" && /^\+\d{1,5}$/.test(value),
+    expected: '"+" followed by 1 to 5 digits',
+  },
+  flag: {
+    required: true,
+    check: (value) => typeof value === "string",
+    expected: "a string",
+  },
+  internationalPrefix: {
+    required: true,
+    check: isDigits,
+    expected: "a string of digits",
+  },
+  nationalPrefix: {
+    check: isDigits,
+    expected: "a string of digits",
+  },
+  areaCodes: {
+    check: (value) => Array.isArray(value) && value.every(isDigits),
+    expected: "an array of digit strings",
+  },
+  formats: {
+    check: (value) =>
+      Array.isArray(value) &&
+      value.every(
+        (rule) =>
+          isObject(rule) &&
+          isPattern(rule.pattern) &&
+          typeof rule.format === "string" &&
+          (rule.leadingDigits === undefined || isPattern(rule.leadingDigits)) &&
+          (rule.nationalFormat === undefined ||
+            typeof rule.nationalFormat === "string")
+      ),
+    expected:
+      "an array of rules with a valid pattern, a format and optional leadingDigits",
+  },
+  possibleLengths: {
+    check: (value) =>
+      Array.isArray(value) &&
+      value.every((length) => Number.isInteger(length) && length > 0),
+    expected: "an array of positive integers",
+  },
+  nationalNumberPattern: {
+    check: isPattern,
+    expected: "a valid regular expression",
+  },
+  numberTypes: {
+    check: (value) => isObject(value) && Object.values(value).every(isPattern),
+    expected: "an object of valid regular expressions",
+  },
+  shortNumbers: {
+    check: (value) => isObject(value) && Object.values(value).every(isPattern),
+    expected: "an object of valid regular expressions",
+  },
+  mainCountryForDialCode: {
+    check: (value) => typeof value === "boolean",
+    expected: "a boolean",
+  },
+};
+
+/**
+ * Check metadata against the database schema (see CONTRIBUTING.md). Fields
+ * the schema does not know are ignored.
+ * @param {Object} metadata - Database with a `countries` array
+ * @throws {InvalidMetadataError} Listing every problem found
+ */
+function validateMetadata(metadata) {
+  const errors = [];
+
+  if (!isObject(metadata)) {
+    throw new InvalidMetadataError(["metadata must be an object"]);
+  }
+  if (metadata.metadata !== undefined && !isObject(metadata.metadata)) {
+    errors.push("metadata must be an object");
+  }
+  if (!Array.isArray(metadata.countries) || metadata.countries.length === 0) {
+    errors.push("countries must be a non-empty array");
+  } else {
+    metadata.countries.forEach((country, index) => {
+      const path = `countries[${index}]`;
+      if (!isObject(country)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+
+      Object.keys(COUNTRY_FIELDS).forEach((field) => {
+        const { required, check, expected } = COUNTRY_FIELDS[field];
+        if (country[field] === undefined) {
+          if (required) errors.push(`${path}.${field} is required`);
+        } else if (!check(country[field])) {
+          errors.push(`${path}.${field} must be ${expected}`);
+        }
+      });
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new InvalidMetadataError(errors);
+  }
+}
+
+/**
+ * Reduce metadata to the "min" set by dropping number type patterns, short
+ * numbers and aliases
+ * @param {Object} metadata - Database with a `countries` array
+ * @returns {Object} Copy of the database without the max-only fields
+ */
+function minifyMetadata(metadata) {
+  return {
+    ...metadata,
+    countries: metadata.countries.map((country) => {
+      const minified = { ...country };
+      MAX_ONLY_FIELDS.forEach((field) => delete minified[field]);
+      return minified;
+    }),
+  };
+}
+
+module.exports = {
+  validateMetadata,
+  minifyMetadata,
+};
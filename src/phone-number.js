@@ -0,0 +1,425 @@
+const phoneFormatter = require("./phone-formatter.js");
+const phoneValidator = require("./phone-validator.js");
+const {
+  PhoneForgeError,
+  InvalidCountryError,
+  MissingCountryError,
+  UnsupportedFormatError,
+} = require("./phone-errors.js");
+
+/**
+ * Extension markers: ";ext=" (RFC 3966), "ext", "extension", "x", "#" and
+ * localized words such as "Durchwahl" (DE), "poste" (FR) or "anexo" (ES/PT)
+ */
+const EXTENSION_PATTERN =
+  /(?:;ext=|[\s,]*(?<!\p{L})(?:ext(?:ension|n)?|x|#|durchwahl|dw|poste|anexo|ramal|interno|int|доб)\.?:?\s*)(\d{1,7})#?\s*$/iu;
+
+/**
+ * International prefix (exit code) recognised whatever the country a number
+ * is dialled from: "00", recommended by the ITU and used in most of the world
+ */
+const DEFAULT_INTERNATIONAL_PREFIX = "00";
+
+/**
+ * Split an extension off the end of a phone number string
+ * @param {string} text - Raw phone number input
+ * @returns {Object} The number part, the extension digits (or null) and
+ *   `local` (always false: plain text may still carry its country)
+ */
+function splitExtension(text) {
+  const match = EXTENSION_PATTERN.exec(text);
+  if (!match || !/\d/.test(text.slice(0, match.index))) {
+    return { number: text, extension: null, local: false };
+  }
+
+  return {
+    number: text.slice(0, match.index),
+    extension: match[1],
+    local: false,
+  };
+}
+
+/**
+ * Parse an RFC 3966 "tel:" URI
+ * @param {string} uri - URI such as "tel:+1-212-869-1246;ext=42"
+ * @returns {Object} The number (with "+" when global), the extension (or null)
+ *   and `local`, true when no global context gives the number its country
+ */
+function parseTelUri(uri) {
+  const [numberPart, ...params] = uri.replace(/^tel:/i, "").split(";");
+  let number = numberPart;
+  let extension = null;
+
+  params.forEach((param) => {
+    const [name, value = ""] = param.split("=");
+    switch (name.toLowerCase()) {
+      case "ext":
+        extension = value.replace(/\D/g, "") || null;
+        break;
+      case "phone-context":
+        // A global context ("+1-212") supplies the leading digits of a
+        // local number; domain-name contexts carry no numbering information
+        if (value.startsWith("+") && !number.startsWith("+")) {
+          number = `${value}${number}`;
+        }
+        break;
+      default:
+        // isub (ISDN subaddress) and unknown parameters are not used
+        break;
+    }
+  });
+
+  // A local number under a domain-name context ("phone-context=example.com")
+  // may be a private extension: its digits say nothing about the country
+  return { number, extension, local: !number.startsWith("+") };
+}
+
+/**
+ * Split raw input into the number part and its extension, accepting both
+ * plain text and RFC 3966 "tel:" URIs
+ * @param {string} text - Raw phone number input
+ * @returns {Object} The number part, the extension digits (or null) and
+ *   `local`, true for a local tel: URI whose country cannot be detected
+ */
+function splitInput(text) {
+  const trimmed = text.trim();
+  return /^tel:/i.test(trimmed) ? parseTelUri(trimmed) : splitExtension(text);
+}
+
+/**
+ * Rewrite a number dialled with an international prefix in "+" form, e.g.
+ * "00 49 30 123456", or "011 49 30 123456" from the US
+ * @param {string} text - Number part of the input (without extension)
+ * @param {Object|null} country - Country the number is dialled from, if known
+ * @returns {string} "+" and the digits after the prefix, or the text unchanged
+ */
+function replaceInternationalPrefix(text, country) {
+  if (text.trim().startsWith("+")) return text;
+
+  const digits = text.replace(/\D/g, "");
+  const prefix = [
+    country && country.internationalPrefix,
+    DEFAULT_INTERNATIONAL_PREFIX,
+  ].find((candidate) => candidate && digits.startsWith(candidate));
+
+  return prefix ? `+${digits.slice(prefix.length)}` : text;
+}
+
+/**
+ * Create the PhoneNumber class and parser bound to a phone database
+ * @param {Object} phoneUtils - Lookup functions from createPhoneUtils
+ * @returns {Object} `PhoneNumber` and `parsePhoneNumber`
+ */
+function createPhoneNumberApi(phoneUtils) {
+  /**
+   * Immutable parsed phone number
+   */
+  class PhoneNumber {
+    /**
+     * @param {Object} fields - Parsed number fields
+     * @param {string|null} fields.countryCallingCode - Country calling code digits (e.g. '44')
+     * @param {string} fields.nationalNumber - National significant number
+     * @param {string|null} fields.country - ISO2 code of the country, if known
+     * @param {string|null} fields.extension - Extension digits, if any
+     */
+    constructor({
+      countryCallingCode = null,
+      nationalNumber,
+      country = null,
+      extension = null,
+    }) {
+      this.countryCallingCode = countryCallingCode;
+      this.nationalNumber = nationalNumber;
+      this.country = country;
+      this.extension = extension;
+      Object.freeze(this);
+    }
+
+    /**
+     * Get the country object from the phone database
+     * @returns {Object|null} Country object or null if the country is unknown
+     */
+    getCountryInfo() {
+      return this.country ? phoneUtils.getCountryByISO2(this.country) : null;
+    }
+
+    /**
+     * Check the number against its country's numbering plan
+     * @returns {boolean} True if valid
+     */
+    isValid() {
+      const country = this.getCountryInfo();
+      if (!country) return false;
+
+      if (!phoneValidator.hasNumberingPlan(country)) {
+        const digits = `${this.countryCallingCode}${this.nationalNumber}`;
+        return phoneValidator.checkGenericLength(digits) === null;
+      }
+      return (
+        phoneValidator.checkNationalNumber(this.nationalNumber, country) ===
+        null
+      );
+    }
+
+    /**
+     * Determine the kind of line this number belongs to
+     * @returns {string} Number type, or "unknown" if it cannot be determined
+     */
+    getType() {
+      const country = this.getCountryInfo();
+      return country
+        ? phoneValidator.getNationalNumberType(this.nationalNumber, country)
+        : "unknown";
+    }
+
+    /**
+     * Format the number
+     * @param {string} kind - 'international', 'national', 'e164' or 'rfc3966'
+     * @returns {string} Formatted phone number, including the extension unless E.164
+     */
+    format(kind = "international") {
+      const country = this.getCountryInfo();
+
+      switch (kind.toLowerCase()) {
+        case "international":
+          if (!this.countryCallingCode) {
+            throw new MissingCountryError(
+              "Cannot format as international without country information. Use countryCode option or enable autoDetect."
+            );
+          }
+          return phoneFormatter.appendExtension(
+            `+${this.countryCallingCode} ${phoneFormatter.groupNationalNumber(
+              this.nationalNumber,
+              country
+            )}`,
+            this.extension
+          );
+
+        case "national":
+          return phoneFormatter.appendExtension(
+            phoneFormatter.formatNationalNumber(this.nationalNumber, country),
+            this.extension
+          );
+
+        case "rfc3966": {
+          if (!this.countryCallingCode) {
+            throw new MissingCountryError(
+              "Cannot format as RFC 3966 without country information"
+            );
+          }
+          const groups = phoneFormatter
+            .groupNationalNumber(this.nationalNumber, country)
+            .replace(/\D+/g, "-");
+          const ext = this.extension ? `;ext=${this.extension}` : "";
+          return `tel:+${this.countryCallingCode}-${groups}${ext}`;
+        }
+
+        case "e164":
+          // E.164 has no room for an extension
+          if (!this.countryCallingCode) {
+            throw new MissingCountryError(
+              "Cannot format as E.164 without country information"
+            );
+          }
+          return `+${this.countryCallingCode}${this.nationalNumber}`;
+
+        default:
+          throw new UnsupportedFormatError(`Unsupported format: ${kind}`);
+      }
+    }
+
+    /**
+     * Format the number the way it is dialled from another country: the
+     * origin's international prefix, then the calling code and the grouped
+     * national number. Numbers in the origin's own calling code are shown in
+     * national format.
+     * @param {string} from - Country dialled from (ISO2, ISO3, or dial code)
+     * @returns {string} Number as dialled from that country, including the extension
+     */
+    formatOutOfCountry(from) {
+      const fromCountry = phoneUtils.getCountryByCode(from);
+      if (!fromCountry) {
+        throw new InvalidCountryError(`Unknown country code: ${from}`);
+      }
+      if (!this.countryCallingCode) {
+        throw new MissingCountryError(
+          "Cannot format for out-of-country dialing without country information"
+        );
+      }
+
+      const country = this.getCountryInfo();
+      const grouped = phoneFormatter.groupNationalNumber(
+        this.nationalNumber,
+        country
+      );
+      const fromCallingCode = fromCountry.dialCode.replace(/\D/g, "");
+      const sameCountry = country && country.iso2 === fromCountry.iso2;
+
+      // Within the North American Numbering Plan, other territories are
+      // dialled as 1 + area code + number
+      if (
+        fromCallingCode.startsWith("1") &&
+        this.countryCallingCode.startsWith("1") &&
+        !sameCountry
+      ) {
+        const tenDigits = `${this.countryCallingCode.slice(1)}${
+          this.nationalNumber
+        }`;
+        return phoneFormatter.appendExtension(
+          `1 ${phoneFormatter.groupNationalNumber(
+            tenDigits,
+            phoneUtils.getCountryByISO2("US")
+          )}`,
+          this.extension
+        );
+      }
+
+      if (fromCallingCode === this.countryCallingCode) {
+        return this.format("national");
+      }
+
+      if (!fromCountry.internationalPrefix) {
+        return this.format("international");
+      }
+
+      return phoneFormatter.appendExtension(
+        `${fromCountry.internationalPrefix} ${
+          this.countryCallingCode
+        } ${grouped.replace(/\D+/g, " ")}`,
+        this.extension
+      );
+    }
+
+    /**
+     * Check whether another number refers to the same line
+     * @param {PhoneNumber|string} other - Parsed number or raw input
+     * @returns {boolean} True if calling code, national number and extension match
+     */
+    equals(other) {
+      if (!(other instanceof PhoneNumber)) {
+        try {
+          other = parsePhoneNumber(other, { defaultCountry: this.country });
+        } catch (error) {
+          return false;
+        }
+      }
+
+      return (
+        this.countryCallingCode === other.countryCallingCode &&
+        this.nationalNumber === other.nationalNumber &&
+        this.extension === other.extension
+      );
+    }
+
+    /**
+     * Plain object representation
+     * @returns {Object} Serializable number fields plus the E.164 form
+     */
+    toJSON() {
+      return {
+        number: this.countryCallingCode
+          ? `+${this.countryCallingCode}${this.nationalNumber}`
+          : null,
+        countryCallingCode: this.countryCallingCode,
+        nationalNumber: this.nationalNumber,
+        country: this.country,
+        extension: this.extension,
+      };
+    }
+  }
+
+  /**
+   * Parse a phone number into a PhoneNumber object. Numbers written with
+   * "+" or an international prefix ("00", or the default country's own, such
+   * as "011" in the US or "810" in Russia) carry their own country code;
+   * nationally written numbers lose their trunk prefix.
+   * @param {string} input - The phone number to parse
+   * @param {Object} options - Parsing options
+   * @param {string} options.defaultCountry - Country (ISO2, ISO3, or dial code) for nationally written numbers
+   * @param {boolean} options.autoDetect - Detect the country from the digits when no default country applies
+   *   (never for local tel: URIs, whose digits do not start with a country code)
+   * @returns {PhoneNumber} Parsed phone number
+   */
+  function parsePhoneNumber(input, options = {}) {
+    if (!input) {
+      throw new PhoneForgeError("Phone number is required", "NOT_A_NUMBER");
+    }
+
+    const { defaultCountry, autoDetect = true } = options;
+
+    const { number, extension, local } = splitInput(input.toString());
+
+    if (!/\d/.test(number)) {
+      throw new PhoneForgeError(
+        "Phone number must contain at least one digit",
+        "NOT_A_NUMBER"
+      );
+    }
+
+    let country = null;
+    if (defaultCountry) {
+      country = phoneUtils.getCountryByCode(defaultCountry);
+      if (!country) {
+        throw new InvalidCountryError(
+          `Unknown country code: ${defaultCountry}`
+        );
+      }
+    }
+
+    // A leading "+" or international prefix means the number carries its own
+    // country code, which wins over the default country unless both agree.
+    // Within a shared dial code the area code decides (+1 416 is Canada even
+    // with a US default).
+    const text = replaceInternationalPrefix(number, country);
+    const digits = text.replace(/\D/g, "");
+    const isInternational = text.trim().startsWith("+");
+    const matchesDefault =
+      country && digits.startsWith(country.dialCode.replace(/\D/g, ""));
+
+    if (isInternational || (!country && autoDetect && !local)) {
+      const detected = phoneUtils.detectCountryFromPhoneNumber(digits);
+      const keepDefault =
+        matchesDefault &&
+        (detected.length === 0 ||
+          detected[0].countries.some((c) => c.iso2 === country.iso2));
+
+      if (detected.length > 0 && !keepDefault) {
+        return new PhoneNumber({
+          countryCallingCode: detected[0].dialCode.replace(/\D/g, ""),
+          nationalNumber: phoneFormatter.stripNationalPrefix(
+            detected[0].remainingDigits,
+            detected[0].countries[0]
+          ),
+          country: detected[0].countries[0].iso2,
+          extension,
+        });
+      }
+    }
+
+    if (!country) {
+      return new PhoneNumber({ nationalNumber: digits, extension });
+    }
+
+    return new PhoneNumber({
+      countryCallingCode: country.dialCode.replace(/\D/g, ""),
+      nationalNumber: phoneValidator.toNationalNumber(
+        digits,
+        country,
+        isInternational
+      ),
+      country: country.iso2,
+      extension,
+    });
+  }
+
+  return {
+    PhoneNumber,
+    parsePhoneNumber,
+  };
+}
+
+module.exports = {
+  createPhoneNumberApi,
+  splitInput,
+  replaceInternationalPrefix,
+};
@@ -0,0 +1,142 @@
+const phoneForge = require("./index.js");
+const {
+  PhoneForgeError,
+  InvalidCountryError,
+  UnsupportedFormatError,
+} = require("./phone-errors.js");
+
+/**
+ * Default error messages of the schema adapters, keyed by failure reason:
+ * the validatePhoneNumber reasons plus INVALID_TYPE for numbers of a type
+ * the schema does not allow
+ */
+const MESSAGES = {
+  NOT_A_NUMBER: "Not a phone number",
+  INVALID_COUNTRY_CODE: "Unknown country calling code",
+  TOO_SHORT: "Too short for a phone number",
+  TOO_LONG: "Too long for a phone number",
+  INVALID_LENGTH: "Invalid length for a phone number",
+  INVALID_FOR_REGION: "Not a valid number for its country",
+  INVALID_TYPE: "Not a {types} number",
+};
+
+/**
+ * Formats the normalized value can be given in
+ */
+const OUTPUT_FORMATS = ["e164", "international", "national", "rfc3966"];
+
+/**
+ * Number types a schema can require
+ */
+const NUMBER_TYPES = [
+  "mobile",
+  "fixedLine",
+  "fixedLineOrMobile",
+  "tollFree",
+  "premiumRate",
+  "sharedCost",
+  "voip",
+];
+
+/**
+ * Turn number types into words (["mobile", "tollFree"] → "mobile or toll free")
+ * @param {Array} types - Number types
+ * @returns {string} Readable type names
+ */
+function describeTypes(types) {
+  return types
+    .map((type) => type.replace(/[A-Z]/g, (char) => ` ${char.toLowerCase()}`))
+    .join(" or ");
+}
+
+/**
+ * Check whether a number's type is one of the allowed types. Where mobile
+ * and fixed-line ranges overlap (e.g. in the US) a number is both.
+ * @param {string} type - Type of the number
+ * @param {Array} types - Allowed types
+ * @returns {boolean} True when allowed
+ */
+function isAllowedType(type, types) {
+  if (types.includes(type)) return true;
+  return (
+    type === "fixedLineOrMobile" &&
+    (types.includes("mobile") || types.includes("fixedLine"))
+  );
+}
+
+/**
+ * Create the check behind every schema adapter: parse, validate, check the
+ * number type and normalize, reporting failures by reason instead of throwing
+ * @param {Object} options - Schema options
+ * @param {string} options.country - Country (ISO2, ISO3, or dial code) of numbers written without "+"
+ * @param {Array} options.types - Allowed number types (any type by default)
+ * @param {string} options.output - Format of the normalized value: 'e164' (default), 'international', 'national', 'rfc3966'
+ * @param {Object} options.messages - Messages replacing the defaults, keyed by failure reason
+ * @returns {Function} Maps a value to `{ valid: true, value, country, type }`
+ *   or `{ valid: false, reason, message }`
+ * @throws {InvalidCountryError|UnsupportedFormatError|PhoneForgeError} For invalid options
+ */
+function createPhoneCheck(options = {}) {
+  const { country, types, output = "e164", messages = {} } = options;
+
+  if (country && !phoneForge.phoneUtils.getCountryByCode(country)) {
+    throw new InvalidCountryError(`Unknown country code: ${country}`);
+  }
+  if (!OUTPUT_FORMATS.includes(output)) {
+    throw new UnsupportedFormatError(`Unsupported format: ${output}`);
+  }
+  if (
+    types !== undefined &&
+    (!Array.isArray(types) ||
+      types.length === 0 ||
+      !types.every((type) => NUMBER_TYPES.includes(type)))
+  ) {
+    throw new PhoneForgeError(
+      `Types must be a non-empty array of: ${NUMBER_TYPES.join(", ")}`,
+      "INVALID_ARGUMENT"
+    );
+  }
+
+  const typeNames = describeTypes(types || []);
+  const invalid = (reason) => ({
+    valid: false,
+    reason,
+    message: (messages[reason] || MESSAGES[reason]).replace(
+      "{types}",
+      typeNames
+    ),
+  });
+
+  return function check(value) {
+    if (typeof value !== "string") return invalid("NOT_A_NUMBER");
+
+    let parsed;
+    try {
+      parsed = phoneForge.parsePhoneNumber(value, { defaultCountry: country });
+    } catch (error) {
+      return invalid("NOT_A_NUMBER");
+    }
+    if (!parsed.country) return invalid("INVALID_COUNTRY_CODE");
+
+    const result = phoneForge.validatePhoneNumber(value, {
+      countryCode: parsed.country,
+    });
+    if (!result.valid) return invalid(result.reason);
+
+    const type = parsed.getType();
+    if (types && !isAllowedType(type, types)) return invalid("INVALID_TYPE");
+
+    return {
+      valid: true,
+      value: parsed.format(output),
+      country: parsed.country,
+      type,
+    };
+  };
+}
+
+module.exports = {
+  MESSAGES,
+  describeTypes,
+  createPhoneCheck,
+};
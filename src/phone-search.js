@@ -0,0 +1,147 @@
+const phoneLocales = require("./phone-locales.js");
+
+/**
+ * Base score of each kind of name match, best first. Within a kind, matches
+ * covering more of the matched name score up to 0.1 higher.
+ */
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.8,
+  alias: 0.6,
+  contains: 0.4,
+  fuzzy: 0.2,
+};
+
+/**
+ * Typos tolerated by fuzzy matching for a search text of a given length: one
+ * per five characters, so short texts such as "irak" only match exactly and
+ * fuzzy scores never drop below 0.28
+ * @param {number} length - Search text length
+ * @returns {number} Maximum edit distance
+ */
+function maxTypos(length) {
+  return Math.floor(length / 5);
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * adjacent characters (optimal string alignment)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of edits turning a into b
+ */
+function editDistance(a, b) {
+  let previous2 = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+    }
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Score one country against normalized search text
+ * @param {Object} country - Country object from the phone database
+ * @param {string} search - Search text, already normalized
+ * @param {string} locale - Locale whose names also match (optional)
+ * @returns {Object|null} `{ score, matchType }` of the best match, or null
+ */
+function matchCountry(country, search, locale) {
+  const names = [country.name];
+  if (locale) names.push(phoneLocales.getCountryName(country, locale));
+  const normalizedNames = names.map(phoneLocales.normalizeName);
+  const aliases = (country.aliases || []).map(phoneLocales.normalizeName);
+  const coverage = (text) => search.length / text.length;
+
+  const candidates = [];
+  normalizedNames.concat(aliases).forEach((text) => {
+    if (text === search) candidates.push({ matchType: "exact", bonus: 0 });
+  });
+  normalizedNames.forEach((text) => {
+    if (text.startsWith(search)) {
+      candidates.push({ matchType: "prefix", bonus: coverage(text) });
+    } else if (text.includes(search)) {
+      candidates.push({ matchType: "contains", bonus: coverage(text) });
+    }
+  });
+  aliases.forEach((text) => {
+    if (text.startsWith(search)) {
+      candidates.push({ matchType: "alias", bonus: coverage(text) });
+    } else if (text.includes(search)) {
+      candidates.push({ matchType: "contains", bonus: coverage(text) });
+    }
+  });
+
+  if (candidates.length === 0) {
+    // Compare with whole names and with name starts, so typos are forgiven
+    // while a name is still being typed. The first letter must match:
+    // "congo" is not a typo of "Mongolia".
+    const typos = maxTypos(search.length);
+    const distance = Math.min(
+      ...normalizedNames
+        .concat(aliases)
+        .filter((text) => text[0] === search[0])
+        .flatMap((text) => [
+          editDistance(search, text),
+          editDistance(search, text.slice(0, search.length)),
+        ])
+    );
+    if (distance > typos) return null;
+    candidates.push({
+      matchType: "fuzzy",
+      bonus: 1 - distance / search.length,
+    });
+  }
+
+  const best = candidates
+    .map(({ matchType, bonus }) => ({
+      matchType,
+      score:
+        matchType === "exact"
+          ? MATCH_SCORES.exact
+          : Math.round((MATCH_SCORES[matchType] + 0.1 * bonus) * 1000) / 1000,
+    }))
+    .sort((a, b) => b.score - a.score)[0];
+  return best;
+}
+
+/**
+ * Rank countries by how well their names, localized names or aliases match
+ * search text
+ * @param {Array} countries - Country objects to rank
+ * @param {string} text - Search text
+ * @param {string} locale - Locale whose names also match (optional)
+ * @returns {Array} `{ country, score, matchType }` entries, best first
+ */
+function rankCountries(countries, text, locale) {
+  const search = phoneLocales.normalizeName(text);
+  if (!search) return [];
+
+  const ranked = [];
+  countries.forEach((country) => {
+    const match = matchCountry(country, search, locale);
+    if (match) ranked.push({ country, ...match });
+  });
+
+  // Array#sort is stable, so equal scores keep database order
+  return ranked.sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  rankCountries,
+};
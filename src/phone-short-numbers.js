@@ -0,0 +1,168 @@
+const phoneFormatter = require("./phone-formatter.js");
+const { splitInput, replaceInternationalPrefix } = require("./phone-number.js");
+const {
+  InvalidCountryError,
+  MissingCountryError,
+} = require("./phone-errors.js");
+
+/**
+ * Cost categories of short numbers, checked in this order
+ */
+const SHORT_NUMBER_COSTS = ["tollFree", "standardRate", "premiumRate"];
+
+/**
+ * Reduce input to the digits of a short number. Short numbers are only
+ * dialled locally, so anything written with "+" is not one.
+ * @param {string} phoneNumber - Number as dialled
+ * @returns {string|null} Digits, or null if the input cannot be a short number
+ */
+function toShortDigits(phoneNumber) {
+  if (!phoneNumber) return null;
+
+  const text = phoneNumber.toString().trim();
+  if (text.startsWith("+")) return null;
+
+  const digits = text.replace(/\D/g, "");
+  return digits.length > 0 ? digits : null;
+}
+
+/**
+ * Check digits against one of the country's short number categories
+ * @param {string} digits - Digits only string
+ * @param {Object} country - Country object from the phone database
+ * @param {string} category - Key in the country's `shortNumbers` data
+ * @returns {boolean} True if the digits are a number of that category
+ */
+function matchesCategory(digits, country, category) {
+  const pattern = country.shortNumbers && country.shortNumbers[category];
+  return (
+    Boolean(pattern) &&
+    phoneFormatter.compilePattern(pattern, true).test(digits)
+  );
+}
+
+/**
+ * Create the short number functions bound to a phone database
+ * @param {Object} phoneUtils - Lookup functions from createPhoneUtils
+ * @param {Function} parsePhoneNumber - Parser bound to the same database
+ * @returns {Object} Short number functions
+ */
+function createShortNumberApi(phoneUtils, parsePhoneNumber) {
+  /**
+   * Look up the country a short number is dialled in
+   * @param {string} country - Country code (ISO2, ISO3, or dial code)
+   * @returns {Object} Country object from the phone database
+   */
+  function resolveCountry(country) {
+    if (!country) {
+      throw new MissingCountryError(
+        "Country code is required for short numbers"
+      );
+    }
+
+    const info = phoneUtils.getCountryByCode(country);
+    if (!info) {
+      throw new InvalidCountryError(`Unknown country code: ${country}`);
+    }
+    return info;
+  }
+
+  /**
+   * Check whether a number is an emergency number in a country (e.g. 112, 911, 999)
+   * @param {string} phoneNumber - Number as dialled
+   * @param {string} country - Country code (ISO2, ISO3, or dial code)
+   * @returns {boolean} True if the number reaches the emergency services
+   */
+  function isEmergencyNumber(phoneNumber, country) {
+    const info = resolveCountry(country);
+    const digits = toShortDigits(phoneNumber);
+    return digits !== null && matchesCategory(digits, info, "emergency");
+  }
+
+  /**
+   * Check whether a number is a short code in a country: an emergency number,
+   * a service number or an SMS short code
+   * @param {string} phoneNumber - Number as dialled
+   * @param {string} country - Country code (ISO2, ISO3, or dial code)
+   * @returns {boolean} True if the number is a known short number
+   */
+  function isShortNumber(phoneNumber, country) {
+    const info = resolveCountry(country);
+    const digits = toShortDigits(phoneNumber);
+    if (digits === null) return false;
+
+    return ["emergency", ...SHORT_NUMBER_COSTS].some((category) =>
+      matchesCategory(digits, info, category)
+    );
+  }
+
+  /**
+   * Get what calling a short number costs
+   * @param {string} phoneNumber - Number as dialled
+   * @param {string} country - Country code (ISO2, ISO3, or dial code)
+   * @returns {string} "tollFree", "standardRate", "premiumRate" or "unknown"
+   */
+  function getShortNumberCost(phoneNumber, country) {
+    const info = resolveCountry(country);
+    const digits = toShortDigits(phoneNumber);
+    if (digits === null) return "unknown";
+
+    const cost = SHORT_NUMBER_COSTS.find((category) =>
+      matchesCategory(digits, info, category)
+    );
+    if (cost) return cost;
+
+    // Emergency calls are free unless listed under another cost
+    return matchesCategory(digits, info, "emergency") ? "tollFree" : "unknown";
+  }
+
+  /**
+   * Check whether a number can be called from a mobile phone in a country.
+   * Emergency numbers always can; some service short codes only work from
+   * fixed lines; full subscriber numbers can when they are valid.
+   * @param {string} phoneNumber - Number as dialled
+   * @param {string} country - Country code (ISO2, ISO3, or dial code); optional
+   *   for numbers in international format, which name their own country
+   * @returns {boolean} True if the number is reachable from a mobile phone
+   */
+  function canBeDialledFromMobile(phoneNumber, country) {
+    if (!country && phoneNumber) {
+      const { number } = splitInput(phoneNumber.toString());
+      if (replaceInternationalPrefix(number, null).trim().startsWith("+")) {
+        try {
+          return parsePhoneNumber(phoneNumber).isValid();
+        } catch (error) {
+          return false;
+        }
+      }
+    }
+
+    const info = resolveCountry(country);
+    const digits = toShortDigits(phoneNumber);
+
+    if (digits !== null) {
+      if (matchesCategory(digits, info, "emergency")) return true;
+      if (matchesCategory(digits, info, "fixedLineOnly")) return false;
+      if (isShortNumber(digits, info.iso2)) return true;
+    }
+
+    try {
+      return parsePhoneNumber(phoneNumber, {
+        defaultCountry: info.iso2,
+      }).isValid();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  return {
+    isEmergencyNumber,
+    isShortNumber,
+    getShortNumberCost,
+    canBeDialledFromMobile,
+  };
+}
+
+module.exports = {
+  createShortNumberApi,
+};
@@ -1,240 +1,468 @@
-const phoneDatabase = require("./phone-database.json");
+const phoneFormatter = require("./phone-formatter.js");
+const phoneValidator = require("./phone-validator.js");
+const { replaceInternationalPrefix } = require("./phone-number.js");
+const { InvalidCountryError } = require("./phone-errors.js");
+const phoneLocales = require("./phone-locales.js");
+const phoneSearch = require("./phone-search.js");
+const phoneGeo = require("./phone-geo.js");
 
 /**
- * Get country information by dial code
- * @param {string} dialCode - The dial code (with or without +)
- * @returns {Object|null} Country object or null if not found
+ * Build lookup indexes over a country list: Maps keyed by lowercase ISO2,
+ * lowercase ISO3 and dial code, and a digit trie of dial codes for detection.
+ * When a key appears more than once the first country in list order wins, as
+ * with a linear `find`.
+ * @param {Array} countries - Country objects from the phone database
+ * @returns {Object} Lookup indexes
  */
-function getCountryByDialCode(dialCode) {
-  const normalizedCode = dialCode.startsWith("+") ? dialCode : `+${dialCode}`;
-  return (
-    phoneDatabase.countries.find(
-      (country) => country.dialCode === normalizedCode
-    ) || null
-  );
-}
+function buildIndexes(countries) {
+  const byISO2 = new Map();
+  const byISO3 = new Map();
+  const byDialCode = new Map();
+  const dialCodeTrie = { children: new Map(), dialCode: null };
 
-/**
- * Get country information by ISO2 code
- * @param {string} iso2 - The ISO2 country code (e.g., 'US', 'DE')
- * @returns {Object|null} Country object or null if not found
- */
-function getCountryByISO2(iso2) {
-  return (
-    phoneDatabase.countries.find(
-      (country) => country.iso2.toLowerCase() === iso2.toLowerCase()
-    ) || null
-  );
-}
+  countries.forEach((country) => {
+    const iso2 = country.iso2.toLowerCase();
+    const iso3 = country.iso3.toLowerCase();
+    if (!byISO2.has(iso2)) byISO2.set(iso2, country);
+    if (!byISO3.has(iso3)) byISO3.set(iso3, country);
 
-/**
- * Get country information by ISO3 code
- * @param {string} iso3 - The ISO3 country code (e.g., 'USA', 'DEU')
- * @returns {Object|null} Country object or null if not found
- */
-function getCountryByISO3(iso3) {
-  return (
-    phoneDatabase.countries.find(
-      (country) => country.iso3.toLowerCase() === iso3.toLowerCase()
-    ) || null
-  );
-}
+    if (!byDialCode.has(country.dialCode)) {
+      byDialCode.set(country.dialCode, []);
 
-/**
- * Get country information by name (case-insensitive partial match)
- * @param {string} name - The country name or partial name
- * @returns {Object|null} Country object or null if not found
- */
-function getCountryByName(name) {
-  return (
-    phoneDatabase.countries.find((country) =>
-      country.name.toLowerCase().includes(name.toLowerCase())
-    ) || null
-  );
-}
+      let node = dialCodeTrie;
+      for (const digit of country.dialCode.slice(1)) {
+        if (!node.children.has(digit)) {
+          node.children.set(digit, { children: new Map(), dialCode: null });
+        }
+        node = node.children.get(digit);
+      }
+      node.dialCode = country.dialCode;
+    }
+    byDialCode.get(country.dialCode).push(country);
+  });
 
-/**
- * Get all countries that share the same dial code
- * @param {string} dialCode - The dial code (with or without +)
- * @returns {Array} Array of country objects
- */
-function getCountriesByDialCode(dialCode) {
-  const normalizedCode = dialCode.startsWith("+") ? dialCode : `+${dialCode}`;
-  return phoneDatabase.countries.filter(
-    (country) => country.dialCode === normalizedCode
-  );
+  return {
+    byISO2,
+    byISO3,
+    byDialCode,
+    dialCodeTrie,
+    // Filled lazily by getAreaCodeCandidates
+    areaCodeCandidates: new Map(),
+  };
 }
 
 /**
- * Search countries by various criteria
- * @param {Object} criteria - Search criteria
- * @param {string} criteria.name - Country name (partial match)
- * @param {string} criteria.dialCode - Dial code
- * @param {string} criteria.iso2 - ISO2 code
- * @param {string} criteria.iso3 - ISO3 code
- * @returns {Array} Array of matching country objects
+ * Create the country lookup functions over a phone database
+ * @param {Object} phoneDatabase - Metadata with a `countries` array (see CONTRIBUTING.md)
+ * @param {string} metadataSet - Name reported by getDatabaseStats ("max", "min" or "custom")
+ * @returns {Object} Lookup functions bound to the database
  */
-function searchCountries(criteria) {
-  return phoneDatabase.countries.filter((country) => {
-    if (
-      criteria.name &&
-      !country.name.toLowerCase().includes(criteria.name.toLowerCase())
-    ) {
-      return false;
-    }
-    if (criteria.dialCode) {
-      const normalizedCode = criteria.dialCode.startsWith("+")
-        ? criteria.dialCode
-        : `+${criteria.dialCode}`;
-      if (country.dialCode !== normalizedCode) {
+function createPhoneUtils(phoneDatabase, metadataSet) {
+  const indexes = buildIndexes(phoneDatabase.countries);
+
+  /**
+   * Get country information by dial code
+   * @param {string} dialCode - The dial code (with or without +)
+   * @returns {Object|null} Country object or null if not found
+   */
+  function getCountryByDialCode(dialCode) {
+    const normalizedCode = dialCode.startsWith("+") ? dialCode : `+${dialCode}`;
+    const countries = indexes.byDialCode.get(normalizedCode);
+    return countries ? countries[0] : null;
+  }
+
+  /**
+   * Get country information by ISO2 code
+   * @param {string} iso2 - The ISO2 country code (e.g., 'US', 'DE')
+   * @returns {Object|null} Country object or null if not found
+   */
+  function getCountryByISO2(iso2) {
+    return indexes.byISO2.get(iso2.toLowerCase()) || null;
+  }
+
+  /**
+   * Get country information by ISO3 code
+   * @param {string} iso3 - The ISO3 country code (e.g., 'USA', 'DEU')
+   * @returns {Object|null} Country object or null if not found
+   */
+  function getCountryByISO3(iso3) {
+    return indexes.byISO3.get(iso3.toLowerCase()) || null;
+  }
+
+  /**
+   * Get country information by ISO2, ISO3 or dial code
+   * @param {string} code - ISO2 ('DE'), ISO3 ('DEU') or dial code ('+49')
+   * @returns {Object|null} Country object or null if not found
+   */
+  function getCountryByCode(code) {
+    return (
+      getCountryByISO2(code) ||
+      getCountryByISO3(code) ||
+      getCountryByDialCode(code)
+    );
+  }
+
+  /**
+   * Get country information by name. Exact names and aliases win over names
+   * that start with the text, then over partial and typo-tolerant matches.
+   * Case and accents are ignored.
+   * @param {string} name - The country name, alias or partial name
+   * @param {Object} options - Lookup options
+   * @param {string} options.locale - Also match names in this locale (e.g. 'de')
+   * @returns {Object|null} Best matching country object or null if not found
+   */
+  function getCountryByName(name, options = {}) {
+    const [best] = phoneSearch.rankCountries(
+      phoneDatabase.countries,
+      name,
+      options.locale
+    );
+    return best ? best.country : null;
+  }
+
+  /**
+   * Get all countries that share the same dial code
+   * @param {string} dialCode - The dial code (with or without +)
+   * @returns {Array} Array of country objects
+   */
+  function getCountriesByDialCode(dialCode) {
+    const normalizedCode = dialCode.startsWith("+") ? dialCode : `+${dialCode}`;
+    return (indexes.byDialCode.get(normalizedCode) || []).slice();
+  }
+
+  /**
+   * Search countries by various criteria. With a name, results are ranked:
+   * exact names and aliases first, then names starting with the text, aliases
+   * starting with it, names or aliases containing it, and finally near misses
+   * (typos).
+   * @param {Object} criteria - Search criteria
+   * @param {string} criteria.name - Country name or alias (ignoring case and accents)
+   * @param {string} criteria.locale - Also match names in this locale (e.g. 'de')
+   * @param {string} criteria.dialCode - Dial code
+   * @param {string} criteria.iso2 - ISO2 code
+   * @param {string} criteria.iso3 - ISO3 code
+   * @param {number} criteria.limit - Maximum number of results
+   * @returns {Array} Matching country objects with a `score` (0-1) and the
+   *   `matchType` of the name match ("exact", "prefix", "alias", "contains",
+   *   "fuzzy", or null without a name), best first
+   */
+  function searchCountries(criteria) {
+    const countries = phoneDatabase.countries.filter((country) => {
+      if (criteria.dialCode) {
+        const normalizedCode = criteria.dialCode.startsWith("+")
+          ? criteria.dialCode
+          : `+${criteria.dialCode}`;
+        if (country.dialCode !== normalizedCode) {
+          return false;
+        }
+      }
+      if (
+        criteria.iso2 &&
+        country.iso2.toLowerCase() !== criteria.iso2.toLowerCase()
+      ) {
         return false;
       }
+      if (
+        criteria.iso3 &&
+        country.iso3.toLowerCase() !== criteria.iso3.toLowerCase()
+      ) {
+        return false;
+      }
+      return true;
+    });
+
+    const ranked = criteria.name
+      ? phoneSearch.rankCountries(countries, criteria.name, criteria.locale)
+      : countries.map((country) => ({ country, score: 1, matchType: null }));
+
+    const results = ranked.map(({ country, score, matchType }) => ({
+      ...country,
+      score,
+      matchType,
+    }));
+    return criteria.limit ? results.slice(0, criteria.limit) : results;
+  }
+
+  /**
+   * Countries that can share a dial code through area codes: those using the
+   * code itself, plus Caribbean territories listed with their own +1xxx dial
+   * code that are part of the shared +1 plan
+   * @param {string} dialCode - The shared dial code (with +)
+   * @param {Array} countries - Countries using exactly this dial code
+   * @returns {Array} Candidate countries, cached per dial code
+   */
+  function getAreaCodeCandidates(dialCode, countries) {
+    let candidates = indexes.areaCodeCandidates.get(dialCode);
+    if (!candidates) {
+      candidates = countries.concat(
+        phoneDatabase.countries.filter(
+          (country) =>
+            country.dialCode !== dialCode &&
+            country.dialCode.startsWith(dialCode) &&
+            Array.isArray(country.areaCodes)
+        )
+      );
+      indexes.areaCodeCandidates.set(dialCode, candidates);
     }
-    if (
-      criteria.iso2 &&
-      country.iso2.toLowerCase() !== criteria.iso2.toLowerCase()
-    ) {
-      return false;
-    }
-    if (
-      criteria.iso3 &&
-      country.iso3.toLowerCase() !== criteria.iso3.toLowerCase()
-    ) {
-      return false;
+    return candidates;
+  }
+
+  /**
+   * Narrow down countries sharing a dial code using the leading digits of the
+   * national number (NANP area codes, Kazakhstan within +7, Crown Dependencies
+   * within +44). Falls back to the main country for the dial code.
+   * @param {string} dialCode - The shared dial code (with +)
+   * @param {Array} countries - Countries using exactly this dial code
+   * @param {string} nationalDigits - Digits following the dial code
+   * @returns {Array} Matching countries, or all countries if none can be ruled out
+   */
+  function narrowCountriesByAreaCode(dialCode, countries, nationalDigits) {
+    const candidates = getAreaCodeCandidates(dialCode, countries);
+
+    if (candidates.length < 2) {
+      return countries;
     }
-    return true;
-  });
-}
 
-/**
- * Detect country from phone number
- * @param {string} phoneNumber - The phone number
- * @returns {Array} Array of possible countries (multiple if dial codes overlap)
- */
-function detectCountryFromPhoneNumber(phoneNumber) {
-  const digits = phoneNumber.replace(/\D/g, "");
+    const byAreaCode = candidates.filter(
+      (country) =>
+        Array.isArray(country.areaCodes) &&
+        country.areaCodes.some((code) => nationalDigits.startsWith(code))
+    );
+    if (byAreaCode.length > 0) {
+      return byAreaCode;
+    }
 
-  if (digits.length === 0) {
-    return [];
+    const mainCountries = countries.filter(
+      (country) => country.mainCountryForDialCode
+    );
+    return mainCountries.length > 0 ? mainCountries : countries;
   }
 
-  // Try to match dial codes starting from longest possible
-  const possibleCodes = [];
+  /**
+   * Detect country from phone number
+   * @param {string} phoneNumber - The phone number
+   * @returns {Array} Array of possible countries (multiple if dial codes overlap)
+   */
+  function detectCountryFromPhoneNumber(phoneNumber) {
+    const digits = phoneNumber.replace(/\D/g, "");
 
-  // Check for codes up to 5 digits (longest international codes)
-  for (let i = 1; i <= Math.min(5, digits.length); i++) {
-    const code = `+${digits.substr(0, i)}`;
-    const countries = getCountriesByDialCode(code);
-    if (countries.length > 0) {
-      possibleCodes.push({
-        dialCode: code,
-        countries: countries,
-        remainingDigits: digits.substr(i),
-      });
+    if (digits.length === 0) {
+      return [];
+    }
+
+    // Walk the dial code trie along the leading digits, collecting every dial
+    // code on the way (codes are at most 5 digits long)
+    const possibleCodes = [];
+    let node = indexes.dialCodeTrie;
+
+    for (let i = 0; i < Math.min(5, digits.length); i++) {
+      node = node.children.get(digits[i]);
+      if (!node) break;
+
+      if (node.dialCode) {
+        const remainingDigits = digits.substr(i + 1);
+        possibleCodes.push({
+          dialCode: node.dialCode,
+          countries: narrowCountriesByAreaCode(
+            node.dialCode,
+            indexes.byDialCode.get(node.dialCode).slice(),
+            remainingDigits
+          ),
+          remainingDigits: remainingDigits,
+        });
+      }
     }
+
+    // Prioritize longer dial codes, and drop shorter matches that only repeat
+    // countries already found (e.g. +1 809 and +1809 both resolving to DR)
+    const seen = new Set();
+    return possibleCodes
+      .sort((a, b) => b.dialCode.length - a.dialCode.length)
+      .filter((match) => {
+        const isNew = match.countries.some((country) => !seen.has(country));
+        match.countries.forEach((country) => seen.add(country));
+        return isNew;
+      });
   }
 
-  // Return the matches, prioritizing longer dial codes
-  return possibleCodes.sort((a, b) => b.dialCode.length - a.dialCode.length);
-}
+  /**
+   * Format phone number for specific country
+   * @param {string} phoneNumber - The phone number
+   * @param {string} countryCode - ISO2 or ISO3 country code
+   * @returns {string} Formatted phone number
+   */
+  function formatPhoneNumberForCountry(phoneNumber, countryCode) {
+    const country =
+      getCountryByISO2(countryCode) || getCountryByISO3(countryCode);
 
-/**
- * Format phone number for specific country
- * @param {string} phoneNumber - The phone number
- * @param {string} countryCode - ISO2 or ISO3 country code
- * @returns {string} Formatted phone number
- */
-function formatPhoneNumberForCountry(phoneNumber, countryCode) {
-  const country =
-    getCountryByISO2(countryCode) || getCountryByISO3(countryCode);
+    if (!country) {
+      throw new InvalidCountryError(`Country not found: ${countryCode}`);
+    }
 
-  if (!country) {
-    throw new Error(`Country not found: ${countryCode}`);
+    const text = replaceInternationalPrefix(phoneNumber, country);
+    const digits = text.replace(/\D/g, "");
+
+    // Remove country code or national trunk prefix if present
+    const localDigits = phoneValidator.toNationalNumber(
+      digits,
+      country,
+      text.trim().startsWith("+")
+    );
+
+    return phoneFormatter.formatInternationalNumber(localDigits, country);
   }
 
-  const digits = phoneNumber.replace(/\D/g, "");
-  const dialCodeDigits = country.dialCode.replace(/\D/g, "");
+  /**
+   * Get the IANA time zones of a country. The zone table is loaded on first use.
+   * @param {string} code - ISO2, ISO3 or dial code
+   * @returns {Array} Zone IDs (e.g. ["Europe/Berlin", "Europe/Busingen"]), empty if not found
+   */
+  function getCountryTimeZones(code) {
+    const country = getCountryByCode(code);
+    return country ? phoneGeo.getCountryTimeZones(country.iso2) : [];
+  }
 
-  // Remove country code if present
-  let localDigits = digits;
-  if (digits.startsWith(dialCodeDigits)) {
-    localDigits = digits.substr(dialCodeDigits.length);
+  /**
+   * Get all available dial codes
+   * @returns {Array} Array of unique dial codes
+   */
+  function getAllDialCodes() {
+    const codes = [
+      ...new Set(phoneDatabase.countries.map((country) => country.dialCode)),
+    ];
+    return codes.sort((a, b) => {
+      // Sort by numeric value of the dial code
+      const aNum = parseInt(a.replace(/\D/g, ""));
+      const bNum = parseInt(b.replace(/\D/g, ""));
+      return aNum - bNum;
+    });
   }
 
-  return `${country.dialCode} ${localDigits}`;
-}
+  /**
+   * Validate if a dial code exists
+   * @param {string} dialCode - The dial code to validate
+   * @returns {boolean} True if dial code exists
+   */
+  function isValidDialCode(dialCode) {
+    const normalizedCode = dialCode.startsWith("+") ? dialCode : `+${dialCode}`;
+    return indexes.byDialCode.has(normalizedCode);
+  }
 
-/**
- * Get all available dial codes
- * @returns {Array} Array of unique dial codes
- */
-function getAllDialCodes() {
-  const codes = [
-    ...new Set(phoneDatabase.countries.map((country) => country.dialCode)),
-  ];
-  return codes.sort((a, b) => {
-    // Sort by numeric value of the dial code
-    const aNum = parseInt(a.replace(/\D/g, ""));
-    const bNum = parseInt(b.replace(/\D/g, ""));
-    return aNum - bNum;
-  });
+  /**
+   * Get database statistics
+   * @returns {Object} Statistics about the phone database, including which
+   *   metadata set is active (`metadataSet`)
+   */
+  function getDatabaseStats() {
+    const metadata = phoneDatabase.metadata || {};
+    const dialCodes = getAllDialCodes();
+    const regions = {
+      "+1": phoneDatabase.countries.filter((c) => c.dialCode.startsWith("+1"))
+        .length,
+      "+7": phoneDatabase.countries.filter((c) => c.dialCode === "+7").length,
+      "+44": phoneDatabase.countries.filter((c) => c.dialCode === "+44").length,
+      "+33": phoneDatabase.countries.filter((c) => c.dialCode === "+33").length,
+      "+49": phoneDatabase.countries.filter((c) => c.dialCode === "+49").length,
+    };
+
+    return {
+      totalCountries: phoneDatabase.countries.length,
+      totalDialCodes: dialCodes.length,
+      averageDialCodeLength:
+        dialCodes.reduce((sum, code) => sum + code.length, 0) /
+        dialCodes.length,
+      shortestDialCode: dialCodes.reduce((shortest, code) =>
+        code.length < shortest.length ? code : shortest
+      ),
+      longestDialCode: dialCodes.reduce((longest, code) =>
+        code.length > longest.length ? code : longest
+      ),
+      commonRegions: regions,
+      version: metadata.version || null,
+      lastUpdated: metadata.lastUpdated || null,
+      metadataSet,
+    };
+  }
+
+  return {
+    getCountryByDialCode,
+    getCountryByISO2,
+    getCountryByISO3,
+    getCountryByCode,
+    getCountryByName,
+    getCountriesByDialCode,
+    searchCountries,
+    detectCountryFromPhoneNumber,
+    formatPhoneNumberForCountry,
+    getCountryTimeZones,
+    getAllDialCodes,
+    isValidDialCode,
+    getDatabaseStats,
+    getCountryName: phoneLocales.getCountryName,
+    registerLocale: phoneLocales.registerLocale,
+    getAvailableLocales: phoneLocales.getAvailableLocales,
+    phoneDatabase,
+  };
 }
 
 /**
- * Validate if a dial code exists
- * @param {string} dialCode - The dial code to validate
- * @returns {boolean} True if dial code exists
+ * Lookups bound to the bundled database, created on first use
  */
-function isValidDialCode(dialCode) {
-  const normalizedCode = dialCode.startsWith("+") ? dialCode : `+${dialCode}`;
-  return phoneDatabase.countries.some(
-    (country) => country.dialCode === normalizedCode
-  );
-}
+let defaultPhoneUtils = null;
 
 /**
- * Get database statistics
- * @returns {Object} Statistics about the phone database
+ * Get the lookups bound to the bundled database, for code that requires this
+ * file by path. Loading the database waits until a lookup is used, so
+ * createPhoneUtils callers (such as phone-forge/core) never load it.
+ * @returns {Object} Lookup functions from createPhoneUtils
  */
-function getDatabaseStats() {
-  const dialCodes = getAllDialCodes();
-  const regions = {
-    "+1": phoneDatabase.countries.filter((c) => c.dialCode.startsWith("+1"))
-      .length,
-    "+7": phoneDatabase.countries.filter((c) => c.dialCode === "+7").length,
-    "+44": phoneDatabase.countries.filter((c) => c.dialCode === "+44").length,
-    "+33": phoneDatabase.countries.filter((c) => c.dialCode === "+33").length,
-    "+49": phoneDatabase.countries.filter((c) => c.dialCode === "+49").length,
-  };
-
-  return {
-    totalCountries: phoneDatabase.countries.length,
-    totalDialCodes: dialCodes.length,
-    averageDialCodeLength:
-      dialCodes.reduce((sum, code) => sum + code.length, 0) / dialCodes.length,
-    shortestDialCode: dialCodes.reduce((shortest, code) =>
-      code.length < shortest.length ? code : shortest
-    ),
-    longestDialCode: dialCodes.reduce((longest, code) =>
-      code.length > longest.length ? code : longest
-    ),
-    commonRegions: regions,
-    version: phoneDatabase.metadata.version,
-    lastUpdated: phoneDatabase.metadata.lastUpdated,
-  };
+function getDefaultPhoneUtils() {
+  if (!defaultPhoneUtils) {
+    defaultPhoneUtils = createPhoneUtils(
+      require("./phone-database.json"),
+      "max"
+    );
+  }
+  return defaultPhoneUtils;
 }
 
 module.exports = {
-  getCountryByDialCode,
-  getCountryByISO2,
-  getCountryByISO3,
-  getCountryByName,
-  getCountriesByDialCode,
-  searchCountries,
-  detectCountryFromPhoneNumber,
-  formatPhoneNumberForCountry,
-  getAllDialCodes,
-  isValidDialCode,
-  getDatabaseStats,
-  phoneDatabase,
+  createPhoneUtils,
+  // Bound to the bundled database (CommonJS only)
+  get getCountryByDialCode() {
+    return getDefaultPhoneUtils().getCountryByDialCode;
+  },
+  get getCountryByISO2() {
+    return getDefaultPhoneUtils().getCountryByISO2;
+  },
+  get getCountryByISO3() {
+    return getDefaultPhoneUtils().getCountryByISO3;
+  },
+  get getCountryByName() {
+    return getDefaultPhoneUtils().getCountryByName;
+  },
+  get getCountriesByDialCode() {
+    return getDefaultPhoneUtils().getCountriesByDialCode;
+  },
+  get searchCountries() {
+    return getDefaultPhoneUtils().searchCountries;
+  },
+  get detectCountryFromPhoneNumber() {
+    return getDefaultPhoneUtils().detectCountryFromPhoneNumber;
+  },
+  get formatPhoneNumberForCountry() {
+    return getDefaultPhoneUtils().formatPhoneNumberForCountry;
+  },
+  get getAllDialCodes() {
+    return getDefaultPhoneUtils().getAllDialCodes;
+  },
+  get isValidDialCode() {
+    return getDefaultPhoneUtils().isValidDialCode;
+  },
+  get getDatabaseStats() {
+    return getDefaultPhoneUtils().getDatabaseStats;
+  },
+  get phoneDatabase() {
+    return getDefaultPhoneUtils().phoneDatabase;
+  },
 };
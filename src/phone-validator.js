@@ -0,0 +1,175 @@
+const phoneFormatter = require("./phone-formatter.js");
+
+/**
+ * Generic E.164 length limits used when no numbering plan is available
+ */
+const MIN_LENGTH = 7;
+const MAX_LENGTH = 15;
+
+/**
+ * Special-rate number types, tried before mobile and fixed-line because
+ * their ranges often overlap the generic geographic ranges
+ */
+const SPECIAL_NUMBER_TYPES = ["tollFree", "premiumRate", "sharedCost", "voip"];
+
+/**
+ * Check whether a country carries numbering plan data for validation
+ * @param {Object} country - Country object from the phone database
+ * @returns {boolean} True if lengths are known for the country
+ */
+function hasNumberingPlan(country) {
+  return (
+    Array.isArray(country.possibleLengths) && country.possibleLengths.length > 0
+  );
+}
+
+/**
+ * Check a digit string against the generic 7-15 digit range
+ * @param {string} digits - Digits only string
+ * @returns {string|null} Failure reason or null if the length is acceptable
+ */
+function checkGenericLength(digits) {
+  if (digits.length < MIN_LENGTH) return "TOO_SHORT";
+  if (digits.length > MAX_LENGTH) return "TOO_LONG";
+  return null;
+}
+
+/**
+ * Check a national significant number against a country's numbering plan
+ * @param {string} nationalNumber - National number without country or trunk prefix
+ * @param {Object} country - Country object from the phone database
+ * @returns {string|null} Failure reason or null if the number is valid
+ */
+function checkNationalNumber(nationalNumber, country) {
+  if (!hasNumberingPlan(country)) {
+    return null;
+  }
+
+  const lengths = country.possibleLengths;
+  if (nationalNumber.length < Math.min(...lengths)) return "TOO_SHORT";
+  if (nationalNumber.length > Math.max(...lengths)) return "TOO_LONG";
+  if (!lengths.includes(nationalNumber.length)) return "INVALID_LENGTH";
+
+  if (
+    country.nationalNumberPattern &&
+    !phoneFormatter
+      .compilePattern(country.nationalNumberPattern, true)
+      .test(nationalNumber)
+  ) {
+    return "INVALID_FOR_REGION";
+  }
+
+  return null;
+}
+
+/**
+ * Reduce digits to the national significant number for a known country.
+ * Digits written with "+" or an international prefix lose the country code.
+ * Nationally written digits lose their trunk prefix; they are only read as
+ * starting with the country code when they are not a valid national number
+ * but the digits after the code are (e.g. "442079460958" for GB, while
+ * "3931234567" stays an Italian mobile number).
+ * @param {string} digits - Digits only string
+ * @param {Object} country - Country object from the phone database
+ * @param {boolean} international - The digits were written with "+" or an international prefix
+ * @returns {string} National significant number
+ */
+function toNationalNumber(digits, country, international = false) {
+  const dialCodeDigits = country.dialCode.replace(/\D/g, "");
+  const hasDialCode = digits.startsWith(dialCodeDigits);
+  if (international && hasDialCode) {
+    return digits.slice(dialCodeDigits.length);
+  }
+
+  // Without grouping rules to check against, a nationally written number
+  // starting with the trunk prefix is taken to include it
+  const prefix = country.nationalPrefix;
+  const national =
+    !country.formats && prefix && digits.startsWith(prefix)
+      ? digits.slice(prefix.length)
+      : phoneFormatter.stripNationalPrefix(digits, country);
+
+  if (!international && hasDialCode && hasNumberingPlan(country)) {
+    const withoutDialCode = digits.slice(dialCodeDigits.length);
+    if (
+      checkNationalNumber(national, country) !== null &&
+      checkNationalNumber(withoutDialCode, country) === null
+    ) {
+      return withoutDialCode;
+    }
+  }
+  return national;
+}
+
+/**
+ * Validate digits that are expected to belong to a specific country
+ * @param {string} digits - Digits only string
+ * @param {Object} country - Country object from the phone database
+ * @param {boolean} strict - Require the number to start with the country code
+ * @param {boolean} international - The digits were written with "+" or an international prefix
+ * @returns {string|null} Failure reason or null if the number is valid
+ */
+function checkNumberForCountry(
+  digits,
+  country,
+  strict = false,
+  international = false
+) {
+  const dialCodeDigits = country.dialCode.replace(/\D/g, "");
+  const hasDialCode = digits.startsWith(dialCodeDigits);
+
+  if ((strict || international) && !hasDialCode) {
+    return "INVALID_COUNTRY_CODE";
+  }
+
+  if (!hasNumberingPlan(country)) {
+    return strict ? null : checkGenericLength(digits);
+  }
+
+  // Check the one reading the parser would use, so a number is only valid
+  // when it formats as the number that was checked
+  return checkNationalNumber(
+    toNationalNumber(digits, country, strict || international),
+    country
+  );
+}
+
+/**
+ * Classify a national significant number using the country's number ranges
+ * @param {string} nationalNumber - National number without country or trunk prefix
+ * @param {Object} country - Country object from the phone database
+ * @returns {string} Number type, or "unknown" if it cannot be determined
+ */
+function getNationalNumberType(nationalNumber, country) {
+  const ranges = country.numberTypes;
+  if (!ranges || checkNationalNumber(nationalNumber, country) !== null) {
+    return "unknown";
+  }
+
+  const matches = (type) =>
+    Boolean(ranges[type]) &&
+    phoneFormatter.compilePattern(ranges[type], true).test(nationalNumber);
+
+  const specialType = SPECIAL_NUMBER_TYPES.find(matches);
+  if (specialType) {
+    return specialType;
+  }
+
+  // Some plans (e.g. NANP) do not distinguish mobile from fixed-line ranges
+  const isMobile = matches("mobile");
+  const isFixedLine = matches("fixedLine");
+  if (isMobile && isFixedLine) return "fixedLineOrMobile";
+  if (isMobile) return "mobile";
+  if (isFixedLine) return "fixedLine";
+
+  return "unknown";
+}
+
+module.exports = {
+  hasNumberingPlan,
+  checkGenericLength,
+  checkNationalNumber,
+  toNationalNumber,
+  checkNumberForCountry,
+  getNationalNumberType,
+};
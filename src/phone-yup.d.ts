@@ -0,0 +1,13 @@
+import { PhoneSchemaOptions } from "./index";
+
+export { PhoneSchemaOptions, PhoneSchemaReason } from "./index";
+
+declare module "yup" {
+  interface StringSchema<TType, TContext, TDefault, TFlags> {
+    /** Check a phone number and transform it to the normalized number */
+    phone(options?: PhoneSchemaOptions): this;
+  }
+}
+
+/** Add the `phone()` method to Yup string schemas */
+export function addPhoneMethod<T extends typeof import("yup")>(yup: T): T;
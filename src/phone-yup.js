@@ -0,0 +1,45 @@
+const { createPhoneCheck } = require("./phone-schema.js");
+
+/**
+ * Add a `phone(options)` method to Yup string schemas. Valid numbers are
+ * transformed to the normalized number; invalid ones fail a "phone" test
+ * with the failure reason in `params.reason`. Like Yup's `email()`, empty
+ * strings pass unless the schema is `required()`.
+ * @param {Object} yup - The Yup module
+ * @returns {Object} The Yup module
+ */
+function addPhoneMethod(yup) {
+  yup.addMethod(yup.string, "phone", function phone(options = {}) {
+    const check = createPhoneCheck(options);
+
+    return this.transform((value) => {
+      const result = typeof value === "string" && value ? check(value) : null;
+      return result && result.valid ? result.value : value;
+    }).test({
+      name: "phone",
+      skipAbsent: true,
+      test(value) {
+        // The number as entered: the normalized output need not parse
+        // again (e.g. a national format without the country)
+        const input =
+          typeof this.originalValue === "string" ? this.originalValue : value;
+        if (input === "") return true;
+
+        const result = check(input);
+        return (
+          result.valid ||
+          this.createError({
+            message: result.message,
+            params: { reason: result.reason },
+          })
+        );
+      },
+    });
+  });
+
+  return yup;
+}
+
+module.exports = {
+  addPhoneMethod,
+};
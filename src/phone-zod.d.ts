@@ -0,0 +1,7 @@
+import { ZodType } from "zod";
+import { PhoneSchemaOptions } from "./index";
+
+export { PhoneSchemaOptions, PhoneSchemaReason } from "./index";
+
+/** Zod schema accepting valid phone numbers and outputting the normalized number */
+export function phoneSchema(options?: PhoneSchemaOptions): ZodType<string>;
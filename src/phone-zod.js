@@ -0,0 +1,34 @@
+const { z } = require("zod");
+const { createPhoneCheck } = require("./phone-schema.js");
+
+/**
+ * Create a Zod schema for phone numbers. It accepts strings holding a valid
+ * number and outputs the normalized number; failures are custom issues with
+ * the failure reason in `params.reason`.
+ * @param {Object} options - Schema options
+ * @param {string} options.country - Country (ISO2, ISO3, or dial code) of numbers written without "+"
+ * @param {Array} options.types - Allowed number types (any type by default)
+ * @param {string} options.output - Format of the output: 'e164' (default), 'international', 'national', 'rfc3966'
+ * @param {Object} options.messages - Messages replacing the defaults, keyed by failure reason
+ * @returns {Object} Zod schema
+ */
+function phoneSchema(options = {}) {
+  const check = createPhoneCheck(options);
+
+  return z.string().transform((value, ctx) => {
+    const result = check(value);
+    if (!result.valid) {
+      ctx.addIssue({
+        code: "custom",
+        message: result.message,
+        params: { reason: result.reason },
+      });
+      return z.NEVER;
+    }
+    return result.value;
+  });
+}
+
+module.exports = {
+  phoneSchema,
+};
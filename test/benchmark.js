@@ -0,0 +1,137 @@
+// Benchmark: indexed phoneUtils lookups vs. linear scans over the country list
+// Run with: npm run benchmark
+
+const { phoneUtils } = require("../src/index.js");
+
+const countries = phoneUtils.phoneDatabase.countries;
+
+// === Linear-scan baseline (how lookups worked before the indexes) ===
+
+function linearCountryByISO2(iso2) {
+  return (
+    countries.find(
+      (country) => country.iso2.toLowerCase() === iso2.toLowerCase()
+    ) || null
+  );
+}
+
+function linearCountriesByDialCode(dialCode) {
+  const normalizedCode = dialCode.startsWith("+") ? dialCode : `+${dialCode}`;
+  return countries.filter((country) => country.dialCode === normalizedCode);
+}
+
+function linearCountryByDialCode(dialCode) {
+  return linearCountriesByDialCode(dialCode)[0] || null;
+}
+
+function linearDetectCountry(phoneNumber) {
+  const digits = phoneNumber.replace(/\D/g, "");
+  const matches = [];
+
+  for (let i = 1; i <= Math.min(5, digits.length); i++) {
+    const code = `+${digits.substr(0, i)}`;
+    const found = linearCountriesByDialCode(code);
+    if (found.length > 0) {
+      const remainingDigits = digits.substr(i);
+      const candidates = found.concat(
+        countries.filter(
+          (country) =>
+            country.dialCode !== code &&
+            country.dialCode.startsWith(code) &&
+            Array.isArray(country.areaCodes)
+        )
+      );
+      const byAreaCode = candidates.filter(
+        (country) =>
+          Array.isArray(country.areaCodes) &&
+          country.areaCodes.some((areaCode) =>
+            remainingDigits.startsWith(areaCode)
+          )
+      );
+      matches.push({
+        dialCode: code,
+        countries: byAreaCode.length > 0 ? byAreaCode : found,
+        remainingDigits,
+      });
+    }
+  }
+
+  return matches.sort((a, b) => b.dialCode.length - a.dialCode.length);
+}
+
+// === Workload ===
+
+const ISO2_CODES = countries.map((country) => country.iso2);
+const DIAL_CODES = phoneUtils.getAllDialCodes();
+const NUMBERS = [
+  "12128691246",
+  "447700900123",
+  "4930123456",
+  "33142868326",
+  "77012345678",
+  "12685551234",
+  "8613812345678",
+  "35312345678",
+  "6141234567",
+  "97150123456",
+];
+const ITERATIONS = 20000;
+
+/**
+ * Time a function over the workload
+ * @param {Function} fn - Function called once per iteration with the iteration index
+ * @returns {number} Elapsed milliseconds
+ */
+function time(fn) {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < ITERATIONS; i++) {
+    fn(i);
+  }
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+const cases = [
+  {
+    name: "getCountryByISO2",
+    linear: (i) => linearCountryByISO2(ISO2_CODES[i % ISO2_CODES.length]),
+    indexed: (i) =>
+      phoneUtils.getCountryByISO2(ISO2_CODES[i % ISO2_CODES.length]),
+  },
+  {
+    name: "getCountryByDialCode",
+    linear: (i) => linearCountryByDialCode(DIAL_CODES[i % DIAL_CODES.length]),
+    indexed: (i) =>
+      phoneUtils.getCountryByDialCode(DIAL_CODES[i % DIAL_CODES.length]),
+  },
+  {
+    name: "detectCountryFromPhoneNumber",
+    linear: (i) => linearDetectCountry(NUMBERS[i % NUMBERS.length]),
+    indexed: (i) =>
+      phoneUtils.detectCountryFromPhoneNumber(NUMBERS[i % NUMBERS.length]),
+  },
+];
+
+console.log(`=== Lookup Benchmark (${ITERATIONS} calls each) ===\n`);
+
+let slower = 0;
+cases.forEach(({ name, linear, indexed }) => {
+  // Warm up both paths before measuring
+  time(linear);
+  time(indexed);
+
+  const linearMs = time(linear);
+  const indexedMs = time(indexed);
+  const speedup = linearMs / indexedMs;
+  if (speedup < 1) slower++;
+
+  console.log(
+    `${name.padEnd(30)} linear ${linearMs.toFixed(1).padStart(8)}ms` +
+      `   indexed ${indexedMs.toFixed(1).padStart(8)}ms` +
+      `   ${speedup.toFixed(1)}x`
+  );
+});
+
+if (slower > 0) {
+  console.error(`\n${slower} indexed lookup(s) slower than the linear scan`);
+  process.exit(1);
+}
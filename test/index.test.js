@@ -1,8 +1,33 @@
 const {
+  parsePhoneNumber,
+  PhoneNumber,
   formatPhoneNumber,
+  formatOutOfCountry,
   isValidPhoneNumber,
+  validatePhoneNumber,
+  compareNumbers,
   extractDigits,
+  getNumberType,
+  findPhoneNumbers,
+  normalizeBatch,
+  AsYouTypeFormatter,
+  isEmergencyNumber,
+  isShortNumber,
+  getShortNumberCost,
+  canBeDialledFromMobile,
   getPhoneNumberInfo,
+  getNumberLocation,
+  getCarrier,
+  getTimeZones,
+  loadGeoData,
+  PhoneForgeError,
+  InvalidCountryError,
+  InvalidLengthError,
+  MissingCountryError,
+  UnsupportedFormatError,
+  InvalidMetadataError,
+  createPhoneForge,
+  validateMetadata,
   phoneUtils,
 } = require("../src/index.js");
 
@@ -18,6 +43,17 @@ function test(description, testFn) {
   }
 }
 
+async function testAsync(description, testFn) {
+  try {
+    await testFn();
+    console.log(`✓ ${description}`);
+  } catch (error) {
+    console.log(`✗ ${description}`);
+    console.log(`  Error: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
 function assertEqual(actual, expected, message = "") {
   if (actual !== expected) {
     throw new Error(`Expected "${expected}" but got "${actual}". ${message}`);
@@ -77,7 +113,7 @@ test("handles international format", () => {
       format: "international",
       countryCode: "1",
     }),
-    "+1 2128691246"
+    "+1 212-869-1246"
   );
 });
 
@@ -121,6 +157,38 @@ test("gets all countries by dial code +1", () => {
   assertTrue(countries.some((c) => c.name === "Canada"));
 });
 
+test("disambiguates NANP countries by area code", () => {
+  const toronto = phoneUtils.detectCountryFromPhoneNumber("14165551234");
+  assertEqual(toronto[0].countries.length, 1);
+  assertEqual(toronto[0].countries[0].iso2, "CA");
+
+  const newYork = phoneUtils.detectCountryFromPhoneNumber("12128691246");
+  assertEqual(newYork[0].countries.length, 1);
+  assertEqual(newYork[0].countries[0].iso2, "US");
+});
+
+test("detects Caribbean territories within +1", () => {
+  const overlay = phoneUtils.detectCountryFromPhoneNumber("18295551234");
+  assertEqual(overlay.length, 1);
+  assertEqual(overlay[0].countries[0].iso2, "DR");
+
+  const anguilla = phoneUtils.detectCountryFromPhoneNumber("12645551234");
+  assertEqual(anguilla[0].dialCode, "+1264");
+  assertEqual(anguilla[0].countries[0].iso2, "AI");
+});
+
+test("disambiguates +7 and +44 countries", () => {
+  const detect = (number) =>
+    phoneUtils
+      .detectCountryFromPhoneNumber(number)[0]
+      .countries.map((c) => c.iso2);
+  assertEqual(detect("77011234567").join(), "KZ");
+  assertEqual(detect("74951234567").join(), "RU");
+  assertEqual(detect("441534123456").join(), "JE");
+  assertEqual(detect("441624123456").join(), "IM");
+  assertEqual(detect("442079460958").join(), "GB");
+});
+
 // === Enhanced Formatting Tests ===
 console.log("\n=== Testing Enhanced Formatting ===");
 
@@ -130,7 +198,7 @@ test("formats German number with country code", () => {
       format: "international",
       countryCode: "DE",
     }),
-    "+49 15123456789"
+    "+49 151 23456789"
   );
 });
 
@@ -139,7 +207,7 @@ test("formats UK number with auto-detection", () => {
     format: "international",
     autoDetect: true,
   });
-  assertEqual(result, "+44 7700900123");
+  assertEqual(result, "+44 7700 900123");
 });
 
 test("formats number in E164 format", () => {
@@ -162,6 +230,101 @@ test("formats number in national format", () => {
   );
 });
 
+// === National Formatting Rules Tests ===
+console.log("\n=== Testing National Formatting Rules ===");
+
+test("formats German number in national format", () => {
+  assertEqual(
+    formatPhoneNumber("30123456", { format: "national", countryCode: "DE" }),
+    "030 123456"
+  );
+});
+
+test("keeps national trunk prefix written by the caller", () => {
+  assertEqual(
+    formatPhoneNumber("030 123456", { format: "national", countryCode: "DE" }),
+    "030 123456"
+  );
+  assertEqual(
+    formatPhoneNumber("07700900123", { format: "national", countryCode: "GB" }),
+    "07700 900123"
+  );
+});
+
+test("formats national numbers given with country code", () => {
+  assertEqual(
+    formatPhoneNumber("+44 20 7946 0958", {
+      format: "national",
+      countryCode: "GB",
+    }),
+    "020 7946 0958"
+  );
+  assertEqual(
+    formatPhoneNumber("33142868326", { format: "national", countryCode: "FR" }),
+    "01 42 86 83 26"
+  );
+});
+
+test("applies country-specific national templates", () => {
+  assertEqual(
+    formatPhoneNumber("84951234567", { format: "national", countryCode: "RU" }),
+    "8 (495) 123-45-67"
+  );
+  assertEqual(
+    formatPhoneNumber("0312345678", { format: "national", countryCode: "JP" }),
+    "03-1234-5678"
+  );
+  assertEqual(
+    formatPhoneNumber("13800138000", { format: "national", countryCode: "CN" }),
+    "138 0013 8000"
+  );
+});
+
+test("returns digits when no national rule matches", () => {
+  assertEqual(
+    formatPhoneNumber("12345", { format: "national", countryCode: "DE" }),
+    "12345"
+  );
+});
+
+test("groups international numbers by country rules", () => {
+  assertEqual(
+    formatPhoneNumber("442079460958", {
+      format: "international",
+      countryCode: "GB",
+    }),
+    "+44 20 7946 0958"
+  );
+});
+
+test("strips trunk prefix from nationally written international input", () => {
+  assertEqual(
+    formatPhoneNumber("020 7946 0958", {
+      format: "international",
+      countryCode: "GB",
+    }),
+    "+44 20 7946 0958"
+  );
+  assertEqual(
+    formatPhoneNumber("030 123456", {
+      format: "international",
+      countryCode: "DE",
+    }),
+    "+49 30 123456"
+  );
+});
+
+test("groups numbers in formatPhoneNumberForCountry", () => {
+  assertEqual(
+    phoneUtils.formatPhoneNumberForCountry("020 7946 0958", "GB"),
+    "+44 20 7946 0958"
+  );
+  assertEqual(
+    phoneUtils.formatPhoneNumberForCountry("33142868326", "FRA"),
+    "+33 1 42 86 83 26"
+  );
+});
+
 // === Enhanced Validation Tests ===
 console.log("\n=== Testing Enhanced Validation ===");
 
@@ -183,6 +346,89 @@ test("validates various international formats", () => {
   assertTrue(isValidPhoneNumber("+86 138 0013 8000"));
 });
 
+test("rejects numbers with invalid national length", () => {
+  assertFalse(isValidPhoneNumber("301234", { countryCode: "DE" }));
+  assertFalse(isValidPhoneNumber("01234567890", { countryCode: "FR" }));
+  assertTrue(isValidPhoneNumber("030 123456", { countryCode: "DE" }));
+  assertTrue(isValidPhoneNumber("01 42 86 83 26", { countryCode: "FR" }));
+});
+
+test("rejects numbers outside the country's number ranges", () => {
+  assertFalse(isValidPhoneNumber("0123456789", { countryCode: "US" }));
+});
+
+test("reports validation failure reasons", () => {
+  assertEqual(
+    validatePhoneNumber("301234", { countryCode: "DE" }).reason,
+    "TOO_SHORT"
+  );
+  assertEqual(
+    validatePhoneNumber("01234567890", { countryCode: "FR" }).reason,
+    "TOO_LONG"
+  );
+  assertEqual(
+    validatePhoneNumber("2128691246", { countryCode: "XX" }).reason,
+    "INVALID_COUNTRY_CODE"
+  );
+  assertEqual(
+    validatePhoneNumber("+1 112 869 1246", { countryCode: "US" }).reason,
+    "INVALID_FOR_REGION"
+  );
+  assertEqual(validatePhoneNumber("call me").reason, "NOT_A_NUMBER");
+});
+
+test("returns valid result without reason", () => {
+  const result = validatePhoneNumber("+44 20 7946 0958", {
+    countryCode: "GB",
+    strict: true,
+  });
+  assertTrue(result.valid);
+  assertEqual(result.reason, undefined);
+});
+
+// === Number Type Tests ===
+console.log("\n=== Testing Number Types ===");
+
+test("classifies mobile and fixed-line numbers", () => {
+  assertEqual(getNumberType("+49 151 23456789"), "mobile");
+  assertEqual(getNumberType("030 123456", { countryCode: "DE" }), "fixedLine");
+  assertEqual(getNumberType("+44 7700 900123"), "mobile");
+  assertEqual(getNumberType("+44 20 7946 0958"), "fixedLine");
+});
+
+test("classifies special-rate numbers", () => {
+  assertEqual(
+    getNumberType("0800 123 4567", { countryCode: "GB" }),
+    "tollFree"
+  );
+  assertEqual(getNumberType("+44 909 876 5432"), "premiumRate");
+  assertEqual(
+    getNumberType("1300 123 456", { countryCode: "AU" }),
+    "sharedCost"
+  );
+  assertEqual(getNumberType("+44 56 1234 5678"), "voip");
+});
+
+test("reports fixedLineOrMobile where ranges overlap", () => {
+  assertEqual(
+    getNumberType("2128691246", { countryCode: "US" }),
+    "fixedLineOrMobile"
+  );
+  assertEqual(getNumberType("+1 800 555 1234"), "tollFree");
+});
+
+test("returns unknown for invalid or unclassified numbers", () => {
+  assertEqual(getNumberType("123", { countryCode: "DE" }), "unknown");
+  assertEqual(getNumberType(""), "unknown");
+});
+
+test("throws error for unknown country in getNumberType", () => {
+  assertThrows(
+    () => getNumberType("2128691246", { countryCode: "XX" }),
+    "Unknown country code"
+  );
+});
+
 // === Phone Number Info Tests ===
 console.log("\n=== Testing Phone Number Info ===");
 
@@ -193,12 +439,14 @@ test("gets comprehensive phone number info", () => {
   assertTrue(info.possibleCountries.length > 0);
   assertEqual(info.possibleCountries[0].dialCode, "+44");
   assertTrue(info.formats !== null);
+  assertEqual(info.type, "mobile");
 });
 
 test("handles invalid phone number info", () => {
   const info = getPhoneNumberInfo("");
   assertFalse(info.valid);
-  assertTrue(info.error.includes("required"));
+  assertEqual(info.error, "NOT_A_NUMBER");
+  assertEqual(getPhoneNumberInfo("abc").error, "NOT_A_NUMBER");
 });
 
 test("provides multiple format options", () => {
@@ -208,97 +456,1854 @@ test("provides multiple format options", () => {
   assertTrue(info.formats.international.includes("+1"));
 });
 
-// === Error Handling Tests ===
-console.log("\n=== Testing Enhanced Error Handling ===");
+test("groups international format in phone number info", () => {
+  const info = getPhoneNumberInfo("33142868326");
+  assertEqual(info.formats.international, "+33 1 42 86 83 26");
+  assertEqual(info.formats.national, "01 42 86 83 26");
+});
 
-test("throws error for unknown country code", () => {
+// === Parsed Phone Number Tests ===
+console.log("\n=== Testing Parsed Phone Numbers ===");
+
+test("parses international input", () => {
+  const number = parsePhoneNumber("+44 20 7946 0958");
+  assertTrue(number instanceof PhoneNumber);
+  assertEqual(number.countryCallingCode, "44");
+  assertEqual(number.nationalNumber, "2079460958");
+  assertEqual(number.country, "GB");
+  assertEqual(number.extension, null);
+});
+
+test("parses national input with default country", () => {
+  const number = parsePhoneNumber("030 123456", { defaultCountry: "DE" });
+  assertEqual(number.countryCallingCode, "49");
+  assertEqual(number.nationalNumber, "30123456");
+  assertEqual(number.format("international"), "+49 30 123456");
+  assertEqual(number.format("national"), "030 123456");
+  assertEqual(number.format("e164"), "+4930123456");
+});
+
+test("prefers the number's own country code over the default", () => {
+  const number = parsePhoneNumber("+33 1 42 86 83 26", {
+    defaultCountry: "DE",
+  });
+  assertEqual(number.country, "FR");
+});
+
+test("validates and classifies parsed numbers", () => {
+  const mobile = parsePhoneNumber("+49 151 23456789");
+  assertTrue(mobile.isValid());
+  assertEqual(mobile.getType(), "mobile");
+  assertFalse(parsePhoneNumber("301234", { defaultCountry: "DE" }).isValid());
+});
+
+test("compares parsed numbers", () => {
+  const number = parsePhoneNumber("+44 20 7946 0958");
+  assertTrue(number.equals(parsePhoneNumber("442079460958")));
+  assertTrue(number.equals("020 7946 0958"));
+  assertFalse(number.equals("+44 20 7946 0959"));
+});
+
+test("parsed numbers are immutable and serializable", () => {
+  const number = parsePhoneNumber("2128691246", { defaultCountry: "US" });
+  assertTrue(Object.isFrozen(number));
+  assertEqual(
+    JSON.stringify(number),
+    '{"number":"+12128691246","countryCallingCode":"1","nationalNumber":"2128691246","country":"US","extension":null}'
+  );
+});
+
+test("throws error when parsing with unknown default country", () => {
   assertThrows(
-    () => formatPhoneNumber("123456789", { countryCode: "XX" }),
+    () => parsePhoneNumber("123456789", { defaultCountry: "XX" }),
     "Unknown country code"
   );
 });
 
-test("throws error for international format without country", () => {
-  assertThrows(
-    () => formatPhoneNumber("123456789", { format: "international" }),
-    "Cannot format as international without country information"
+// === Extension Tests ===
+console.log("\n=== Testing International and Trunk Prefixes ===");
+
+test("recognises international prefixes", () => {
+  const e164 = (input, countryCode) =>
+    formatPhoneNumber(input, { countryCode, format: "e164" });
+
+  assertEqual(e164("004930123456", "DE"), "+4930123456");
+  assertEqual(e164("0049 30 123456"), "+4930123456");
+  assertEqual(e164("011 44 20 7946 0958", "US"), "+442079460958");
+  assertEqual(e164("0044 20 7946 0958", "US"), "+442079460958");
+  assertEqual(e164("8 10 49 30 123456", "RU"), "+4930123456");
+  assertEqual(e164("0011 61 2 9374 4000", "AU"), "+61293744000");
+  assertEqual(
+    parsePhoneNumber("011 44 20 7946 0958", { defaultCountry: "US" }).country,
+    "GB"
   );
 });
 
-test("throws error for E164 format without country", () => {
-  assertThrows(
-    () => formatPhoneNumber("123456789", { format: "e164" }),
-    "Cannot format as E.164 without country information"
+test("strips national trunk prefixes", () => {
+  const e164 = (input, countryCode) =>
+    formatPhoneNumber(input, { countryCode, format: "e164" });
+
+  assertEqual(e164("0301234567", "DE"), "+49301234567");
+  assertEqual(e164("020 7946 0958", "GB"), "+442079460958");
+  assertEqual(e164("01 23 45 67 89", "FR"), "+33123456789");
+  assertEqual(e164("8 916 123-45-67", "RU"), "+79161234567");
+  // Countries without grouping rules
+  assertEqual(e164("021 312 3456", "RO"), "+40213123456");
+  assertEqual(e164("02 987 6543", "BG"), "+35929876543");
+});
+
+test("keeps national numbers that start like the country code", () => {
+  const e164 = (input, countryCode) =>
+    formatPhoneNumber(input, { countryCode, format: "e164" });
+
+  assertEqual(
+    parsePhoneNumber("393 123 4567", { defaultCountry: "IT" }).format("e164"),
+    "+393931234567"
+  );
+  assertEqual(e164("91234 56789", "IN"), "+919123456789");
+  assertEqual(
+    parsePhoneNumber("(55) 99999-1234", { defaultCountry: "BR" }).format(
+      "e164"
+    ),
+    "+5555999991234"
+  );
+  assertEqual(e164("+39 393 123 4567", "IT"), "+393931234567");
+  // Read as starting with the country code only when that is the valid reading
+  assertEqual(e164("442079460958", "GB"), "+442079460958");
+  assertEqual(
+    compareNumbers("393 123 4567", "+39 393 123 4567", {
+      defaultCountry: "IT",
+    }),
+    "EXACT_MATCH"
   );
 });
 
-// === Database Statistics Tests ===
-console.log("\n=== Testing Database Statistics ===");
+test("validates the reading that is formatted", () => {
+  assertTrue(isValidPhoneNumber("393 123 4567", { countryCode: "IT" }));
+  assertTrue(isValidPhoneNumber("91234 56789", { countryCode: "IN" }));
+  assertTrue(isValidPhoneNumber("(55) 99999-1234", { countryCode: "BR" }));
+  assertEqual(
+    validatePhoneNumber("+44 20 7946 0958", { countryCode: "DE" }).reason,
+    "INVALID_COUNTRY_CODE"
+  );
+});
 
-test("gets database statistics", () => {
-  const stats = phoneUtils.getDatabaseStats();
-  const packageVersion = require("../package.json").version;
+test("validates numbers written with an international prefix", () => {
+  assertTrue(isValidPhoneNumber("004930123456", { countryCode: "DE" }));
+  assertTrue(isValidPhoneNumber("0049 30 123456", { strict: true }));
+  assertEqual(
+    getPhoneNumberInfo("0049 30 123456").possibleCountries[0].dialCode,
+    "+49"
+  );
+});
 
-  assertTrue(stats.totalCountries > 200);
-  assertTrue(stats.totalDialCodes > 0);
-  assertEqual(stats.version, packageVersion); // Compare with package.json version
-  assertTrue(stats.shortestDialCode.length >= 2); // At least "+1"
-  assertTrue(stats.longestDialCode.length <= 6); // Max around "+1XXX"
+console.log("\n=== Testing Extensions ===");
+
+test("formats numbers with extensions", () => {
+  assertEqual(
+    formatPhoneNumber("212-869-1246 ext. 42"),
+    "+1 (212) 869-1246 ext. 42"
+  );
+  assertEqual(
+    formatPhoneNumber("212-869-1246 x42", {
+      format: "international",
+      countryCode: "US",
+    }),
+    "+1 212-869-1246 ext. 42"
+  );
+  assertEqual(
+    formatPhoneNumber("+44 20 7946 0958 #12", { format: "national" }),
+    "020 7946 0958 ext. 12"
+  );
 });
 
-test("validates dial codes", () => {
-  assertTrue(phoneUtils.isValidDialCode("+1"));
-  assertTrue(phoneUtils.isValidDialCode("49"));
-  assertFalse(phoneUtils.isValidDialCode("+999999"));
+test("recognises localized extension markers", () => {
+  assertEqual(parsePhoneNumber("+49 30 123456 Durchwahl 12").extension, "12");
+  assertEqual(parsePhoneNumber("+33 1 42 86 83 26 poste 123").extension, "123");
+  assertEqual(parsePhoneNumber("+1-212-869-1246;ext=42").extension, "42");
 });
 
-test("gets all dial codes", () => {
-  const codes = phoneUtils.getAllDialCodes();
-  assertTrue(codes.length > 0);
-  assertTrue(codes.includes("+1"));
-  assertTrue(codes.includes("+49"));
-  assertTrue(codes.includes("+44"));
+test("leaves extension out of E.164 format", () => {
+  assertEqual(
+    formatPhoneNumber("212-869-1246 ext. 42", {
+      format: "e164",
+      countryCode: "US",
+    }),
+    "+12128691246"
+  );
 });
 
-// === Search Functionality Tests ===
-console.log("\n=== Testing Search Functionality ===");
+test("validates numbers with extensions", () => {
+  assertTrue(isValidPhoneNumber("212-869-1246 ext. 42"));
+  assertTrue(isValidPhoneNumber("(212) 869-1246 x42", { countryCode: "US" }));
+});
 
-test("searches countries by multiple criteria", () => {
-  const results = phoneUtils.searchCountries({
-    name: "United",
-    dialCode: "+1",
-  });
-  assertTrue(results.length > 0);
-  assertTrue(results.some((c) => c.name === "United States"));
+test("reports extension in phone number info", () => {
+  const info = getPhoneNumberInfo("+49 30 123456 Durchwahl 12");
+  assertEqual(info.digits, "4930123456");
+  assertEqual(info.extension, "12");
+  assertEqual(info.formats.international, "+49 30 123456 ext. 12");
+  assertEqual(getPhoneNumberInfo("2128691246").extension, null);
 });
 
-test("searches countries by partial name", () => {
-  const results = phoneUtils.searchCountries({ name: "German" });
-  assertTrue(results.length > 0);
-  assertEqual(results[0].name, "Germany");
+console.log("\n=== Testing RFC 3966 ===");
+
+test("formats numbers as tel: URIs", () => {
+  assertEqual(
+    formatPhoneNumber("212-869-1246 ext. 42", {
+      format: "rfc3966",
+      countryCode: "US",
+    }),
+    "tel:+1-212-869-1246;ext=42"
+  );
+  assertEqual(
+    formatPhoneNumber("020 7946 0958", {
+      format: "rfc3966",
+      countryCode: "GB",
+    }),
+    "tel:+44-20-7946-0958"
+  );
+  assertEqual(
+    parsePhoneNumber("+49 30 123456").format("rfc3966"),
+    "tel:+49-30-123456"
+  );
 });
 
-console.log("\n=== Performance Tests ===");
+test("parses global tel: URIs", () => {
+  const number = parsePhoneNumber("tel:+1-212-869-1246;ext=42");
+  assertEqual(number.country, "US");
+  assertEqual(number.nationalNumber, "2128691246");
+  assertEqual(number.extension, "42");
+  assertEqual(number.format("rfc3966"), "tel:+1-212-869-1246;ext=42");
+});
 
-test("handles large number of lookups efficiently", () => {
-  const start = Date.now();
-  for (let i = 0; i < 1000; i++) {
-    phoneUtils.getCountryByDialCode("+1");
-    phoneUtils.getCountryByISO2("US");
-    phoneUtils.detectCountryFromPhoneNumber("12128691246");
-  }
-  const duration = Date.now() - start;
-  assertTrue(
-    duration < 1000,
-    `Performance test took ${duration}ms, expected < 1000ms`
+test("parses local tel: URIs with phone-context", () => {
+  const number = parsePhoneNumber("tel:869-1246;phone-context=+1-212");
+  assertEqual(number.format("e164"), "+12128691246");
+  assertEqual(
+    parsePhoneNumber("tel:+49-30-123456;isub=1234").format("e164"),
+    "+4930123456"
   );
 });
 
-console.log("\nAll enhanced tests completed!");
-console.log(
-  `\nDatabase contains ${
-    phoneUtils.getDatabaseStats().totalCountries
-  } countries with ${
-    phoneUtils.getDatabaseStats().totalDialCodes
-  } unique dial codes.`
-);
+test("does not guess the country of local tel: URIs with a domain context", () => {
+  const uri = "tel:7042;phone-context=example.com";
+  const info = getPhoneNumberInfo(uri);
+  assertFalse(info.valid);
+  assertEqual(info.error, "MISSING_COUNTRY");
+  assertEqual(parsePhoneNumber(uri).country, null);
+  assertFalse(parsePhoneNumber(uri).isValid());
+  assertEqual(validatePhoneNumber(uri).reason, "INVALID_COUNTRY_CODE");
+  assertEqual(
+    catchError(() => formatPhoneNumber(uri, { format: "e164" })).code,
+    "MISSING_COUNTRY"
+  );
+  assertEqual(
+    formatPhoneNumber("tel:030-123456;phone-context=example.com", {
+      format: "e164",
+      countryCode: "DE",
+    }),
+    "+4930123456"
+  );
+});
+
+test("accepts tel: URIs in info and validation", () => {
+  const info = getPhoneNumberInfo("TEL:+44-20-7946-0958;ext=7");
+  assertEqual(info.digits, "442079460958");
+  assertEqual(info.extension, "7");
+  assertEqual(info.formats.rfc3966, "tel:+44-20-7946-0958;ext=7");
+  assertTrue(isValidPhoneNumber("tel:+1-212-869-1246"));
+});
+
+test("throws error for RFC 3966 format without country", () => {
+  assertThrows(
+    () => formatPhoneNumber("123456789", { format: "rfc3966" }),
+    "Cannot format as RFC 3966 without country information"
+  );
+});
+
+console.log("\n=== Testing Finding Numbers in Text ===");
+
+test("finds numbers with offsets", () => {
+  const text =
+    "Call (212) 869-1246 ext. 42 or +44 20 7946 0958. Order 2024-01-15.";
+  const matches = findPhoneNumbers(text, { defaultCountry: "US" });
+
+  assertEqual(matches.length, 2);
+  assertEqual(matches[0].start, 5);
+  assertEqual(matches[0].end, 27);
+  assertEqual(matches[0].raw, "(212) 869-1246 ext. 42");
+  assertEqual(matches[0].phoneNumber.format("e164"), "+12128691246");
+  assertEqual(matches[0].phoneNumber.extension, "42");
+  assertEqual(text.slice(matches[1].start, matches[1].end), "+44 20 7946 0958");
+  assertEqual(matches[1].phoneNumber.country, "GB");
+});
+
+test("skips dates and digits inside longer tokens", () => {
+  const text = "Ref ABC4155550100, shipped 2024-01-15 415.555.0100";
+  const matches = findPhoneNumbers(text, { defaultCountry: "US" });
+
+  assertEqual(matches.length, 1);
+  assertEqual(matches[0].raw, "415.555.0100");
+});
+
+test("separates adjacent numbers", () => {
+  const matches = findPhoneNumbers("212 869 1246 415 555 0100", {
+    defaultCountry: "US",
+  });
+  assertEqual(matches.map((m) => m.raw).join("|"), "212 869 1246|415 555 0100");
+});
+
+test("applies leniency levels", () => {
+  const text = "21 28 69 12 46";
+  assertEqual(findPhoneNumbers(text, { defaultCountry: "US" }).length, 1);
+  assertEqual(
+    findPhoneNumbers(text, {
+      defaultCountry: "US",
+      leniency: "strictlyGrouped",
+    }).length,
+    0
+  );
+  assertEqual(
+    findPhoneNumbers("030 123456", {
+      defaultCountry: "DE",
+      leniency: "strictlyGrouped",
+    }).length,
+    1
+  );
+
+  // Unassigned range: possible but not valid
+  assertEqual(
+    findPhoneNumbers("212 069 1246", { defaultCountry: "US" }).length,
+    0
+  );
+  assertEqual(
+    findPhoneNumbers("212 069 1246", {
+      defaultCountry: "US",
+      leniency: "possible",
+    }).length,
+    1
+  );
+});
+
+test("rejects unknown leniency and country", () => {
+  assertThrows(
+    () => findPhoneNumbers("212 869 1246", { leniency: "loose" }),
+    "Unsupported leniency"
+  );
+  assertThrows(
+    () => findPhoneNumbers("212 869 1246", { defaultCountry: "XX" }),
+    "Unknown country code"
+  );
+  assertEqual(findPhoneNumbers("").length, 0);
+});
+
+console.log("\n=== Testing As-You-Type Formatting ===");
+
+/**
+ * Feed characters one at a time and collect every intermediate result
+ */
+function typeEach(formatter, text) {
+  return [...text].map((char) => formatter.input(char));
+}
+
+test("formats national input keystroke by keystroke", () => {
+  const formatter = new AsYouTypeFormatter({ defaultCountry: "US" });
+  assertEqual(
+    typeEach(formatter, "2128691246").join(" | "),
+    "2 | 21 | 212 | (212) 8 | (212) 86 | (212) 869 | (212) 869-1 | " +
+      "(212) 869-12 | (212) 869-124 | (212) 869-1246"
+  );
+  assertEqual(formatter.getCountry(), "US");
+  assertEqual(formatter.getDigits(), "2128691246");
+});
+
+test("keeps a typed trunk prefix", () => {
+  const de = new AsYouTypeFormatter({ defaultCountry: "DE" });
+  assertEqual(de.input("0301234"), "030 1234");
+
+  const gb = new AsYouTypeFormatter({ defaultCountry: "GB" });
+  assertEqual(typeEach(gb, "07700900123").pop(), "07700 900123");
+});
+
+test("detects the country from international input", () => {
+  const formatter = new AsYouTypeFormatter({ defaultCountry: "US" });
+  assertEqual(formatter.input("+"), "+");
+  assertEqual(formatter.input("4"), "+4");
+  assertEqual(formatter.getCountry(), null);
+  assertEqual(formatter.input("4"), "+44");
+  assertEqual(formatter.getCountry(), "GB");
+  assertEqual(typeEach(formatter, "7700900123").pop(), "+44 7700 900123");
+});
+
+test("handles backspace, reset and ignored characters", () => {
+  const formatter = new AsYouTypeFormatter({ defaultCountry: "US" });
+  assertEqual(formatter.input("(212) 869-12"), "(212) 869-12");
+  assertEqual(formatter.backspace(), "(212) 869-1");
+  assertEqual(formatter.backspace(), "(212) 869");
+  assertEqual(formatter.reset(), "");
+  assertEqual(formatter.backspace(), "");
+
+  const international = new AsYouTypeFormatter();
+  international.input("+");
+  assertEqual(international.backspace(), "");
+  assertEqual(international.input("2128"), "2128");
+  assertEqual(international.getCountry(), null);
+});
+
+test("reports caret positions", () => {
+  const formatter = new AsYouTypeFormatter({ defaultCountry: "US" });
+  formatter.input("2128691");
+  assertEqual(formatter.getFormatted(), "(212) 869-1");
+  assertEqual(formatter.getCaretPosition(), 11);
+  assertEqual(formatter.getCaretPosition(3), 4);
+  assertEqual(formatter.getCaretPosition(4), 7);
+  assertEqual(formatter.getCaretPosition(0), 0);
+});
+
+test("rejects unknown default country", () => {
+  assertThrows(
+    () => new AsYouTypeFormatter({ defaultCountry: "XX" }),
+    "Unknown country code"
+  );
+});
+
+console.log("\n=== Testing Out-of-Country Formatting ===");
+
+test("formats numbers as dialled from another country", () => {
+  assertEqual(
+    formatOutOfCountry("+1 212 869 1246", { from: "DE" }),
+    "00 1 212 869 1246"
+  );
+  assertEqual(
+    formatOutOfCountry("+44 20 7946 0958", { from: "US" }),
+    "011 44 20 7946 0958"
+  );
+  assertEqual(
+    formatOutOfCountry("+44 20 7946 0958", { from: "RU" }),
+    "810 44 20 7946 0958"
+  );
+  assertEqual(
+    formatOutOfCountry("+49 30 123456 ext. 12", { from: "AU" }),
+    "0011 49 30 123456 ext. 12"
+  );
+});
+
+test("uses national format within the same country", () => {
+  assertEqual(
+    formatOutOfCountry("+44 20 7946 0958", { from: "GB" }),
+    "020 7946 0958"
+  );
+  assertEqual(
+    formatOutOfCountry("2128691246", { from: "US" }),
+    "(212) 869-1246"
+  );
+  assertEqual(
+    formatOutOfCountry("030 123456", { from: "US", countryCode: "DE" }),
+    "011 49 30 123456"
+  );
+});
+
+test("dials other NANP territories with 1", () => {
+  assertEqual(
+    parsePhoneNumber("+1 416 555 0100", { defaultCountry: "US" }).country,
+    "CA"
+  );
+  assertEqual(
+    formatOutOfCountry("+1 416 555 0100", { from: "US" }),
+    "1 416-555-0100"
+  );
+  assertEqual(
+    formatOutOfCountry("+1 212 869 1246", { from: "JM" }),
+    "1 212-869-1246"
+  );
+});
+
+test("supports the outOfCountry format option", () => {
+  assertEqual(
+    formatPhoneNumber("+1 212 869 1246", {
+      format: "outOfCountry",
+      from: "JP",
+    }),
+    "010 1 212 869 1246"
+  );
+  assertEqual(
+    parsePhoneNumber("+33 1 42 86 83 26").formatOutOfCountry("DEU"),
+    "00 33 1 42 86 83 26"
+  );
+  assertThrows(
+    () => formatPhoneNumber("+1 212 869 1246", { format: "outOfCountry" }),
+    "The from option is required"
+  );
+  assertThrows(
+    () => formatOutOfCountry("+1 212 869 1246", { from: "XX" }),
+    "Unknown country code"
+  );
+});
+
+test("every country has an international prefix", () => {
+  const missing = phoneUtils.phoneDatabase.countries.filter(
+    (country) => !/^\d+$/.test(country.internationalPrefix || "")
+  );
+  assertEqual(missing.length, 0);
+});
+
+console.log("\n=== Testing Number Comparison ===");
+
+test("matches the same line written in different ways", () => {
+  const forms = [
+    "(212) 869-1246",
+    "0012128691246",
+    "011 1 212 869 1246",
+    "tel:+12128691246",
+  ];
+  forms.forEach((form) => {
+    assertEqual(
+      compareNumbers("+1 212-869-1246", form, { defaultCountry: "US" }),
+      "EXACT_MATCH",
+      form
+    );
+  });
+  assertEqual(
+    compareNumbers("+1 212-869-1246", "0012128691246"),
+    "EXACT_MATCH"
+  );
+});
+
+test("reports national number matches without a country", () => {
+  assertEqual(compareNumbers("+1 212-869-1246", "(212) 869-1246"), "NSN_MATCH");
+  assertEqual(compareNumbers("+44 20 7946 0958", "020 7946 0958"), "NSN_MATCH");
+  assertEqual(compareNumbers("212 869 1246", "2128691246"), "NSN_MATCH");
+});
+
+test("reports short national number matches", () => {
+  assertEqual(
+    compareNumbers("869-1246", "+1 212 869 1246", { defaultCountry: "US" }),
+    "SHORT_NSN_MATCH"
+  );
+  assertEqual(
+    compareNumbers("+1 212 869 1246 ext. 12", "+1 212 869 1246"),
+    "SHORT_NSN_MATCH"
+  );
+});
+
+test("uses the default country's international prefix", () => {
+  assertEqual(
+    compareNumbers("8 10 49 30 123456", "+49 30 123456", {
+      defaultCountry: "RU",
+    }),
+    "EXACT_MATCH"
+  );
+  assertEqual(
+    compareNumbers("8 916 123-45-67", "+7 916 123 45 67", {
+      defaultCountry: "RU",
+    }),
+    "EXACT_MATCH"
+  );
+});
+
+test("rejects different numbers", () => {
+  assertEqual(
+    compareNumbers("+1 212 869 1246", "+44 212 869 1246"),
+    "NO_MATCH"
+  );
+  assertEqual(compareNumbers("+1 212 869 1246", "+1 212 869 1247"), "NO_MATCH");
+  assertEqual(
+    compareNumbers("+1 212 869 1246 x 12", "+1 212 869 1246 x 13"),
+    "NO_MATCH"
+  );
+  assertEqual(compareNumbers("", "+1 212 869 1246"), "NO_MATCH");
+  assertThrows(
+    () => compareNumbers("1", "1", { defaultCountry: "XX" }),
+    "Unknown country code"
+  );
+});
+
+console.log("\n=== Testing Short Numbers ===");
+
+test("recognises emergency numbers per country", () => {
+  assertTrue(isEmergencyNumber("112", "DE"));
+  assertTrue(isEmergencyNumber("911", "US"));
+  assertTrue(isEmergencyNumber("999", "GBR"));
+  assertTrue(isEmergencyNumber("000", "+61"));
+  assertFalse(isEmergencyNumber("999", "US"));
+  assertFalse(isEmergencyNumber("+112", "DE"));
+  assertFalse(isEmergencyNumber("1120", "DE"));
+});
+
+test("recognises short numbers", () => {
+  assertTrue(isShortNumber("112", "FR"));
+  assertTrue(isShortNumber("118 118", "GB"));
+  assertTrue(isShortNumber("22000", "US"));
+  assertFalse(isShortNumber("2128691246", "US"));
+  assertFalse(isShortNumber("", "US"));
+});
+
+test("reports short number cost", () => {
+  assertEqual(getShortNumberCost("118118", "GB"), "premiumRate");
+  assertEqual(getShortNumberCost("116111", "DE"), "tollFree");
+  assertEqual(getShortNumberCost("131313", "AU"), "standardRate");
+  assertEqual(getShortNumberCost("999", "GB"), "tollFree");
+  assertEqual(getShortNumberCost("2128691246", "US"), "unknown");
+});
+
+test("checks whether numbers can be dialled from mobile", () => {
+  assertTrue(canBeDialledFromMobile("112", "GB"));
+  assertTrue(canBeDialledFromMobile("118118", "GB"));
+  assertFalse(canBeDialledFromMobile("150", "GB"));
+  assertTrue(canBeDialledFromMobile("+44 20 7946 0958", "GB"));
+  assertFalse(canBeDialledFromMobile("123", "FR"));
+});
+
+test("checks mobile dialling of international numbers without a country", () => {
+  assertTrue(canBeDialledFromMobile("+12128691246"));
+  assertTrue(canBeDialledFromMobile("0044 20 7946 0958"));
+  assertFalse(canBeDialledFromMobile("+1 555"));
+  assertEqual(
+    catchError(() => canBeDialledFromMobile("2128691246")).code,
+    "MISSING_COUNTRY"
+  );
+});
+
+test("formats short numbers unchanged", () => {
+  assertEqual(formatPhoneNumber("911"), "911");
+  assertEqual(
+    formatPhoneNumber("112", { format: "national", countryCode: "DE" }),
+    "112"
+  );
+  assertThrows(
+    () => formatPhoneNumber("12345"),
+    "US phone numbers must be 7, 10, or 11 digits long"
+  );
+});
+
+test("requires a known country for short numbers", () => {
+  assertThrows(
+    () => isEmergencyNumber("112"),
+    "Country code is required for short numbers"
+  );
+  assertThrows(() => isShortNumber("112", "XX"), "Unknown country code");
+});
+
+// === Location and Carrier Tests ===
+console.log("\n=== Testing Location and Carrier Lookup ===");
+
+test("omits location and carrier from info unless included", () => {
+  const info = getPhoneNumberInfo("+49 30 123456");
+  assertFalse("location" in info);
+  assertFalse("carrier" in info);
+  assertFalse("timeZones" in info);
+});
+
+test("locates fixed-line numbers by area code", () => {
+  assertEqual(getNumberLocation("+49 30 123456"), "Berlin");
+  assertEqual(getNumberLocation("+1 212 869 1246"), "New York, NY");
+  assertEqual(getNumberLocation("+1 416 555 0123"), "Toronto, ON");
+  assertEqual(getNumberLocation("+44 161 496 0000"), "Manchester");
+  assertEqual(getNumberLocation("+39 06 69881234"), "Rome");
+  assertEqual(getNumberLocation("030 123456", { countryCode: "DE" }), "Berlin");
+});
+
+test("localizes locations", () => {
+  assertEqual(getNumberLocation("+41 22 123 45 67", { locale: "de" }), "Genf");
+  assertEqual(
+    getNumberLocation("+49 89 123456", { locale: "de-AT" }),
+    "München"
+  );
+  assertEqual(getNumberLocation("+49 30 123456", { locale: "de" }), "Berlin");
+  assertEqual(getNumberLocation("+39 02 12345678", { locale: "fr" }), "Milan");
+  assertEqual(
+    getNumberLocation("+49 151 23456789", { locale: "ja" }),
+    "ドイツ"
+  );
+});
+
+test("falls back to the country or null", () => {
+  assertEqual(getNumberLocation("+49 151 23456789"), "Germany");
+  assertEqual(getNumberLocation("+1268 464 1234"), "Antigua and Barbuda");
+  assertEqual(getNumberLocation("+44 800 123 4567"), null);
+  assertEqual(getNumberLocation("+49 30"), null);
+  assertEqual(getNumberLocation(""), null);
+});
+
+test("looks up original mobile carriers", () => {
+  assertEqual(getCarrier("+49 176 12345678"), "O2");
+  assertEqual(getCarrier("+49 151 23456789"), "Telekom");
+  assertEqual(getCarrier("+234 803 123 4567"), "MTN");
+  assertEqual(getCarrier("+254 712 345678"), "Safaricom");
+  assertEqual(getCarrier("079 123 45 67", { countryCode: "CH" }), "Swisscom");
+  assertEqual(getCarrier("+1 212 869 1246"), null);
+  assertEqual(getCarrier("+49 30 123456"), null);
+});
+
+test("finds time zones by area code in multi-zone countries", () => {
+  assertEqual(getTimeZones("+1 212 869 1246").join(), "America/New_York");
+  assertEqual(getTimeZones("+1 415 555 0123").join(), "America/Los_Angeles");
+  assertEqual(
+    getTimeZones("+1 850 555 0123").join(),
+    "America/Chicago,America/New_York"
+  );
+  assertEqual(getTimeZones("+1 416 555 0123").join(), "America/Toronto");
+  assertEqual(getTimeZones("+61 8 9123 4567").join(), "Australia/Perth");
+  assertEqual(getTimeZones("+55 92 3456 7890").join(), "America/Manaus");
+  assertEqual(getTimeZones("+7 383 123 4567").join(), "Asia/Novosibirsk");
+  assertEqual(
+    getTimeZones("2128691246", { countryCode: "US" }).join(),
+    "America/New_York"
+  );
+});
+
+test("falls back to all zones of the country", () => {
+  assertEqual(getTimeZones("+44 20 7946 0958").join(), "Europe/London");
+  assertEqual(getTimeZones("+1268 464 1234").join(), "America/Antigua");
+  assertTrue(getTimeZones("+7 701 123 4567").includes("Asia/Almaty"));
+  const tollFree = getTimeZones("+1 800 555 0123");
+  assertTrue(tollFree.includes("America/New_York"));
+  assertTrue(tollFree.includes("Pacific/Honolulu"));
+  assertEqual(getTimeZones("").length, 0);
+});
+
+test("gets time zones of a country", () => {
+  assertEqual(
+    phoneUtils.getCountryTimeZones("DE").join(),
+    "Europe/Berlin,Europe/Busingen"
+  );
+  assertEqual(
+    phoneUtils.getCountryTimeZones("DOM").join(),
+    "America/Santo_Domingo"
+  );
+  assertTrue(phoneUtils.getCountryTimeZones("RUS").includes("Europe/Moscow"));
+  assertEqual(phoneUtils.getCountryTimeZones("XX").length, 0);
+});
+
+test("includes location, carrier and time zones in info on request", () => {
+  const include = ["location", "carrier", "timeZones"];
+  const info = getPhoneNumberInfo("+49 151 23456789", { include });
+  assertEqual(info.location, "Germany");
+  assertEqual(info.carrier, "Telekom");
+  assertEqual(
+    getPhoneNumberInfo("+49 221 123456", { locale: "fr", include }).location,
+    "Cologne"
+  );
+  const us = getPhoneNumberInfo("12128691246", { include: ["timeZones"] });
+  assertEqual(us.timeZones.join(), "America/New_York");
+  assertFalse("carrier" in us);
+  assertEqual(
+    getPhoneNumberInfo("12128691246", { include: ["carrier"] }).carrier,
+    null
+  );
+});
+
+test("returns the same info fields however much data is loaded", () => {
+  loadGeoData({ locale: "fr" });
+  getCarrier("+49 176 12345678");
+  const info = getPhoneNumberInfo("+49 30 123456");
+  assertFalse("location" in info);
+  assertFalse("carrier" in info);
+  assertFalse("timeZones" in info);
+  const trimmed = createPhoneForge({ metadata: "min" });
+  assertFalse("location" in trimmed.getPhoneNumberInfo("+49 30 123456"));
+});
+
+test("rejects unknown info fields", () => {
+  assertEqual(
+    catchError(() => getPhoneNumberInfo("+49 30 123456", { include: ["city"] }))
+      .code,
+    "INVALID_ARGUMENT"
+  );
+  assertEqual(
+    catchError(() =>
+      getPhoneNumberInfo("+49 30 123456", { include: "carrier" })
+    ).code,
+    "INVALID_ARGUMENT"
+  );
+});
+
+// === Error Handling Tests ===
+console.log("\n=== Testing Enhanced Error Handling ===");
+
+test("throws error for unknown country code", () => {
+  assertThrows(
+    () => formatPhoneNumber("123456789", { countryCode: "XX" }),
+    "Unknown country code"
+  );
+});
+
+test("throws error for international format without country", () => {
+  assertThrows(
+    () => formatPhoneNumber("123456789", { format: "international" }),
+    "Cannot format as international without country information"
+  );
+});
+
+test("throws error for E164 format without country", () => {
+  assertThrows(
+    () => formatPhoneNumber("123456789", { format: "e164" }),
+    "Cannot format as E.164 without country information"
+  );
+});
+
+function catchError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected function to throw an error");
+}
+
+test("throws typed errors with stable codes", () => {
+  const cases = [
+    [
+      () => formatPhoneNumber("123456789", { countryCode: "XX" }),
+      InvalidCountryError,
+      "INVALID_COUNTRY_CODE",
+    ],
+    [
+      () => formatPhoneNumber("22128691246"),
+      InvalidCountryError,
+      "INVALID_COUNTRY_CODE",
+    ],
+    [() => formatPhoneNumber("12345"), InvalidLengthError, "INVALID_LENGTH"],
+    [
+      () => formatPhoneNumber("123456789", { format: "international" }),
+      MissingCountryError,
+      "MISSING_COUNTRY",
+    ],
+    [
+      () => formatPhoneNumber("2128691246", { format: "outOfCountry" }),
+      MissingCountryError,
+      "MISSING_COUNTRY",
+    ],
+    [
+      () => formatPhoneNumber("2128691246", { format: "fax" }),
+      UnsupportedFormatError,
+      "UNSUPPORTED_FORMAT",
+    ],
+    [
+      () => phoneUtils.formatPhoneNumberForCountry("2128691246", "XX"),
+      InvalidCountryError,
+      "INVALID_COUNTRY_CODE",
+    ],
+    [() => isShortNumber("112", ""), MissingCountryError, "MISSING_COUNTRY"],
+  ];
+
+  cases.forEach(([fn, ErrorClass, code]) => {
+    const error = catchError(fn);
+    assertTrue(error instanceof ErrorClass, error.message);
+    assertTrue(error instanceof PhoneForgeError);
+    assertTrue(error instanceof Error);
+    assertEqual(error.name, ErrorClass.name);
+    assertEqual(error.code, code);
+  });
+});
+
+test("uses base error codes for unusable input and options", () => {
+  const empty = catchError(() => formatPhoneNumber(""));
+  assertEqual(empty.constructor, PhoneForgeError);
+  assertEqual(empty.code, "NOT_A_NUMBER");
+  assertEqual(catchError(() => parsePhoneNumber("abc")).code, "NOT_A_NUMBER");
+  assertEqual(
+    catchError(() => findPhoneNumbers("", { leniency: "loose" })).code,
+    "INVALID_ARGUMENT"
+  );
+});
+
+// === Database Statistics Tests ===
+console.log("\n=== Testing Database Statistics ===");
+
+test("gets database statistics", () => {
+  const stats = phoneUtils.getDatabaseStats();
+  const packageVersion = require("../package.json").version;
+
+  assertTrue(stats.totalCountries > 200);
+  assertTrue(stats.totalDialCodes > 0);
+  assertEqual(stats.version, packageVersion); // Compare with package.json version
+  assertTrue(stats.shortestDialCode.length >= 2); // At least "+1"
+  assertTrue(stats.longestDialCode.length <= 6); // Max around "+1XXX"
+});
+
+test("validates dial codes", () => {
+  assertTrue(phoneUtils.isValidDialCode("+1"));
+  assertTrue(phoneUtils.isValidDialCode("49"));
+  assertFalse(phoneUtils.isValidDialCode("+999999"));
+});
+
+test("gets all dial codes", () => {
+  const codes = phoneUtils.getAllDialCodes();
+  assertTrue(codes.length > 0);
+  assertTrue(codes.includes("+1"));
+  assertTrue(codes.includes("+49"));
+  assertTrue(codes.includes("+44"));
+});
+
+// === Search Functionality Tests ===
+console.log("\n=== Testing Search Functionality ===");
+
+test("searches countries by multiple criteria", () => {
+  const results = phoneUtils.searchCountries({
+    name: "United",
+    dialCode: "+1",
+  });
+  assertTrue(results.length > 0);
+  assertTrue(results.some((c) => c.name === "United States"));
+});
+
+test("searches countries by partial name", () => {
+  const results = phoneUtils.searchCountries({ name: "German" });
+  assertTrue(results.length > 0);
+  assertEqual(results[0].name, "Germany");
+});
+
+// === Ranked Search Tests ===
+console.log("\n=== Testing Ranked Country Search ===");
+
+test("ranks exact names above partial matches", () => {
+  assertEqual(phoneUtils.getCountryByName("guinea").iso2, "GN");
+  const results = phoneUtils.searchCountries({ name: "guinea" });
+  assertEqual(results.map((c) => c.iso2).join(","), "GN,GW,PG,GQ");
+  assertEqual(results[0].matchType, "exact");
+  assertEqual(results[0].score, 1);
+  assertEqual(results[1].matchType, "prefix");
+  assertEqual(results[2].matchType, "contains");
+  assertTrue(results[1].score > results[2].score);
+});
+
+test("resolves aliases and former names", () => {
+  assertEqual(phoneUtils.getCountryByName("UK").iso2, "GB");
+  assertEqual(phoneUtils.getCountryByName("USA").iso2, "US");
+  assertEqual(phoneUtils.getCountryByName("Ivory Coast").iso2, "CI");
+  assertEqual(phoneUtils.getCountryByName("Türkiye").iso2, "TR");
+  assertEqual(phoneUtils.getCountryByName("Burma").iso2, "MM");
+
+  const [alias] = phoneUtils.searchCountries({ name: "Congo-Kin" });
+  assertEqual(alias.iso2, "CD");
+  assertEqual(alias.matchType, "alias");
+});
+
+test("tolerates typos", () => {
+  assertEqual(phoneUtils.getCountryByName("Germny").iso2, "DE");
+  assertEqual(phoneUtils.getCountryByName("swizerland").iso2, "CH");
+  const [result] = phoneUtils.searchCountries({ name: "Brazli" });
+  assertEqual(result.iso2, "BR");
+  assertEqual(result.matchType, "fuzzy");
+  assertTrue(result.score < 0.4);
+  assertEqual(phoneUtils.getCountryByName("xyz"), null);
+});
+
+test("does not offer unrelated countries as typos", () => {
+  const congo = phoneUtils.searchCountries({ name: "congo" });
+  assertFalse(congo.some((c) => c.iso2 === "MN"));
+  assertTrue(congo.every((c) => c.matchType !== "fuzzy"));
+  const alemania = phoneUtils.searchCountries({
+    name: "Alemania",
+    locale: "es",
+  });
+  assertEqual(alemania.map((c) => c.iso2).join(","), "DE");
+  assertEqual(phoneUtils.getCountryByName("Irak"), null);
+  assertEqual(phoneUtils.searchCountries({ name: "Irak" }).length, 0);
+});
+
+test("limits and filters ranked results", () => {
+  const results = phoneUtils.searchCountries({ name: "united", limit: 2 });
+  assertEqual(results.length, 2);
+  assertTrue(results.every((c) => c.matchType === "prefix"));
+
+  const filtered = phoneUtils.searchCountries({ dialCode: "+44" });
+  assertTrue(filtered.every((c) => c.score === 1 && c.matchType === null));
+});
+
+// === Localized Names Tests ===
+console.log("\n=== Testing Localized Country Names ===");
+
+test("matches names ignoring case and accents", () => {
+  assertEqual(phoneUtils.getCountryByName("Côte d’Ivoire").iso2, "CI");
+  assertEqual(phoneUtils.getCountryByName("CURAÇAO").iso2, "CW");
+});
+
+test("finds countries by localized name", () => {
+  assertEqual(phoneUtils.getCountryByName("Deutschland"), null);
+  assertEqual(
+    phoneUtils.getCountryByName("Deutschland", { locale: "de" }).iso2,
+    "DE"
+  );
+  assertEqual(
+    phoneUtils.getCountryByName("cote d'ivoire", { locale: "fr" }).iso2,
+    "CI"
+  );
+  assertEqual(
+    phoneUtils.getCountryByName("Germany", { locale: "de" }).iso2,
+    "DE"
+  );
+  const results = phoneUtils.searchCountries({
+    name: "Allemagne",
+    locale: "fr",
+  });
+  assertEqual(results.length, 1);
+  assertEqual(results[0].iso2, "DE");
+});
+
+test("gets country names in a locale", () => {
+  const germany = phoneUtils.getCountryByISO2("DE");
+  assertEqual(phoneUtils.getCountryName(germany), "Germany");
+  assertEqual(phoneUtils.getCountryName(germany, "ja"), "ドイツ");
+  assertEqual(phoneUtils.getCountryName(germany, "de-AT"), "Deutschland");
+  assertEqual(
+    phoneUtils.getCountryName(phoneUtils.getCountryByISO3("DOM"), "es"),
+    "República Dominicana"
+  );
+  assertTrue(phoneUtils.getAvailableLocales().length >= 12);
+});
+
+test("localizes names in phone number info", () => {
+  const info = getPhoneNumberInfo("+49 30 123456", { locale: "es" });
+  assertEqual(info.possibleCountries[0].countries[0].name, "Alemania");
+  assertEqual(
+    getPhoneNumberInfo("+49 30 123456").possibleCountries[0].countries[0].name,
+    "Germany"
+  );
+});
+
+test("registers and rejects locales", () => {
+  phoneUtils.registerLocale({ locale: "da", names: { DE: "Tyskland" } });
+  const germany = phoneUtils.getCountryByISO2("DE");
+  assertEqual(phoneUtils.getCountryName(germany, "da"), "Tyskland");
+  assertEqual(
+    phoneUtils.getCountryName(phoneUtils.getCountryByISO2("FR"), "da"),
+    "France"
+  );
+  assertTrue(phoneUtils.getAvailableLocales().includes("da"));
+  assertThrows(
+    () => phoneUtils.getCountryName(germany, "xx"),
+    "Unsupported locale"
+  );
+  assertThrows(() => phoneUtils.registerLocale({ names: {} }), "Locale pack");
+});
+
+// === Pluggable Metadata Tests ===
+console.log("\n=== Testing Pluggable Metadata ===");
+
+/**
+ * Copy of the bundled database limited to some countries
+ */
+function pickCountries(...iso2Codes) {
+  return {
+    metadata: phoneUtils.phoneDatabase.metadata,
+    countries: phoneUtils.phoneDatabase.countries.filter((country) =>
+      iso2Codes.includes(country.iso2)
+    ),
+  };
+}
+
+test("reports the active metadata set", () => {
+  assertEqual(phoneUtils.getDatabaseStats().metadataSet, "max");
+  assertEqual(
+    createPhoneForge({ metadata: "min" }).phoneUtils.getDatabaseStats()
+      .metadataSet,
+    "min"
+  );
+  assertEqual(
+    createPhoneForge({
+      metadata: pickCountries("US"),
+    }).phoneUtils.getDatabaseStats().metadataSet,
+    "custom"
+  );
+});
+
+test("min metadata formats and validates without number types", () => {
+  const min = createPhoneForge({ metadata: "min" });
+  const stats = min.phoneUtils.getDatabaseStats();
+
+  assertEqual(
+    stats.totalCountries,
+    phoneUtils.getDatabaseStats().totalCountries
+  );
+  assertTrue(
+    min.phoneUtils.phoneDatabase.countries.every(
+      (country) => !country.numberTypes && !country.shortNumbers
+    )
+  );
+  assertEqual(
+    min.formatPhoneNumber("+49 151 23456789", { format: "international" }),
+    "+49 151 23456789"
+  );
+  assertTrue(min.isValidPhoneNumber("015123456789", { countryCode: "DE" }));
+  assertEqual(min.getNumberType("+49 151 23456789"), "unknown");
+  assertEqual(getNumberType("+49 151 23456789"), "mobile");
+  assertFalse(min.isEmergencyNumber("112", "DE"));
+});
+
+test("formats with default options on metadata without the US", () => {
+  const forge = createPhoneForge({ metadata: pickCountries("DE", "FR") });
+  assertEqual(forge.formatPhoneNumber("2128691246"), "+1 (212) 869-1246");
+  assertEqual(
+    forge.formatPhoneNumber("+49 30 123456", { format: "international" }),
+    "+49 30 123456"
+  );
+  assertEqual(forge.formatPhoneNumber("112", { countryCode: "DE" }), "112");
+  assertThrows(
+    () => forge.formatPhoneNumber("2128691246", { countryCode: "US" }),
+    "Unknown country code: US"
+  );
+});
+
+test("binds every function to custom metadata", () => {
+  const forge = createPhoneForge({ metadata: pickCountries("US", "DE") });
+
+  assertEqual(forge.phoneUtils.getDatabaseStats().totalCountries, 2);
+  assertEqual(forge.phoneUtils.getCountryByISO2("FR"), null);
+  assertEqual(forge.parsePhoneNumber("+49 30 123456").country, "DE");
+  assertEqual(forge.parsePhoneNumber("+33 1 23 45 67 89").country, null);
+  assertThrows(
+    () => forge.formatPhoneNumber("0123456789", { countryCode: "FR" }),
+    "Unknown country code"
+  );
+  assertEqual(
+    forge.validatePhoneNumber("0123456789", { countryCode: "FR" }).reason,
+    "INVALID_COUNTRY_CODE"
+  );
+
+  const formatter = new forge.AsYouTypeFormatter({ defaultCountry: "DE" });
+  assertEqual(formatter.input("030123456"), "030 123456");
+  assertTrue(forge.isEmergencyNumber("911", "US"));
+  assertTrue(
+    forge.parsePhoneNumber("+1 212 869 1246") instanceof forge.PhoneNumber
+  );
+});
+
+test("uses patched number ranges without affecting other instances", () => {
+  const metadata = pickCountries("DE");
+  const germany = metadata.countries[0];
+  metadata.countries = [
+    {
+      ...germany,
+      nationalNumberPattern: "1[4-7]\\d{8,9}|[2-9]\\d{6,11}",
+      numberTypes: {
+        ...germany.numberTypes,
+        mobile: "1(?:4\\d|5\\d|6[023]|7\\d)\\d{7,8}",
+      },
+    },
+  ];
+  const patched = createPhoneForge({ metadata });
+
+  assertEqual(patched.getNumberType("+49 142 12345678"), "mobile");
+  assertEqual(getNumberType("+49 142 12345678"), "unknown");
+});
+
+test("validates metadata against the schema", () => {
+  validateMetadata(phoneUtils.phoneDatabase);
+  validateMetadata(
+    createPhoneForge({ metadata: "min" }).phoneUtils.phoneDatabase
+  );
+
+  const error = catchError(() =>
+    createPhoneForge({
+      metadata: {
+        countries: [
+          { name: "Nowhere", iso2: "nw", dialCode: "+999", flag: "" },
+          {
+            ...pickCountries("DE").countries[0],
+            formats: [{ pattern: "(\\d{3", format: "$1" }],
+          },
+        ],
+      },
+    })
+  );
+  assertTrue(error instanceof InvalidMetadataError);
+  assertTrue(error instanceof PhoneForgeError);
+  assertEqual(error.code, "INVALID_METADATA");
+  assertTrue(error.message.startsWith("Invalid metadata: countries[0].iso2"));
+  assertTrue(error.errors.includes("countries[0].iso3 is required"));
+  assertTrue(
+    error.errors.includes("countries[0].internationalPrefix is required")
+  );
+  assertTrue(
+    error.errors.some((text) => text.startsWith("countries[1].formats"))
+  );
+  assertEqual(error.errors.length, 4);
+
+  assertThrows(() => createPhoneForge({ metadata: {} }), "countries must be");
+  assertThrows(() => validateMetadata(null), "metadata must be an object");
+  assertEqual(
+    catchError(() => createPhoneForge({ metadata: "tiny" })).code,
+    "INVALID_ARGUMENT"
+  );
+});
+
+console.log("\n=== Performance Tests ===");
+
+test("handles large number of lookups efficiently", () => {
+  const start = Date.now();
+  for (let i = 0; i < 1000; i++) {
+    phoneUtils.getCountryByDialCode("+1");
+    phoneUtils.getCountryByISO2("US");
+    phoneUtils.detectCountryFromPhoneNumber("12128691246");
+  }
+  const duration = Date.now() - start;
+  assertTrue(
+    duration < 1000,
+    `Performance test took ${duration}ms, expected < 1000ms`
+  );
+});
+
+// === Async Tests ===
+async function runAsyncTests() {
+  console.log("\n=== Testing Batch Normalization ===");
+
+  /**
+   * Collect every record of a batch
+   */
+  async function collect(batch) {
+    const records = [];
+    for await (const record of batch) records.push(record);
+    return records;
+  }
+
+  await testAsync("normalizes an array of numbers", async () => {
+    const records = await collect(
+      normalizeBatch(["212-869-1246", "+44 20 7946 0958"], {
+        defaultCountry: "US",
+      })
+    );
+    assertEqual(records.length, 2);
+    assertEqual(records[0].input, "212-869-1246");
+    assertEqual(records[0].e164, "+12128691246");
+    assertEqual(records[0].formatted, "+12128691246");
+    assertEqual(records[0].country, "US");
+    assertTrue(records[0].valid);
+    assertEqual(records[0].error, null);
+    assertEqual(records[1].country, "GB");
+  });
+
+  await testAsync("reports bad rows without throwing", async () => {
+    const errors = [];
+    const records = await collect(
+      normalizeBatch(["abc", "123", null, "2128691246"], {
+        defaultCountry: "US",
+        onError: (record, index) => errors.push(`${index}:${record.error}`),
+      })
+    );
+    assertEqual(
+      records.map((record) => record.error).join(","),
+      "NOT_A_NUMBER,TOO_SHORT,NOT_A_NUMBER,"
+    );
+    assertEqual(records[1].e164, null);
+    assertEqual(errors.join(" "), "0:NOT_A_NUMBER 1:TOO_SHORT 2:NOT_A_NUMBER");
+  });
+
+  await testAsync("accepts async iterables and a format", async () => {
+    async function* rows() {
+      yield "030 123456";
+      yield "0151 23456789";
+    }
+    const records = await collect(
+      normalizeBatch(rows(), { defaultCountry: "DE", format: "national" })
+    );
+    assertEqual(records[0].formatted, "030 123456");
+    assertEqual(records[1].e164, "+4915123456789");
+  });
+
+  await testAsync("caches repeated inputs and counts stats", async () => {
+    const batch = normalizeBatch(
+      ["2128691246", "2128691246", "+44 20 7946 0958", "123"],
+      { defaultCountry: "US" }
+    );
+    await collect(batch);
+    assertEqual(batch.stats.total, 4);
+    assertEqual(batch.stats.valid, 3);
+    assertEqual(batch.stats.invalid, 1);
+    assertEqual(batch.stats.cacheHits, 1);
+    assertEqual(batch.stats.byCountry.US.valid, 2);
+    assertEqual(batch.stats.byCountry.US.invalid, 1);
+    assertEqual(batch.stats.byCountry.GB.valid, 1);
+  });
+
+  test("rejects invalid batch options", () => {
+    assertThrows(() => normalizeBatch("2128691246"), "Inputs must be");
+    assertThrows(
+      () => normalizeBatch([], { format: "us" }),
+      "Unsupported format"
+    );
+    assertThrows(
+      () => normalizeBatch([], { defaultCountry: "XX" }),
+      "Unknown country code"
+    );
+  });
+
+  console.log("\n=== Testing Command Line ===");
+
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const { run } = require("../src/phone-cli.js");
+  const { readCsvRows, formatCsvRow } = require("../src/phone-csv.js");
+
+  /**
+   * Run the command line tool, capturing its output
+   */
+  async function runCli(args) {
+    const output = { stdout: "", stderr: "" };
+    const io = {
+      stdout: { write: (text) => (output.stdout += text) },
+      stderr: { write: (text) => (output.stderr += text) },
+    };
+    output.code = await run(args, io);
+    return output;
+  }
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "phone-forge-"));
+  const inputFile = path.join(tempDir, "contacts.csv");
+  const outputFile = path.join(tempDir, "clean.csv");
+  fs.writeFileSync(
+    inputFile,
+    [
+      "\uFEFFname,phone,note",
+      'Alice,212-869-1246,"Office, main line"',
+      'Bob,not a number,"Says ""call me""',
+      'later"',
+      "",
+      "Carol,0049 30 123456,",
+      "Dave,+44 20 7946 0958,",
+    ].join("\n")
+  );
+
+  await testAsync("formats, validates and describes numbers", async () => {
+    let result = await runCli(["format", "2128691246", "--country", "US"]);
+    assertEqual(result.stdout, "+1 212-869-1246\n");
+    assertEqual(result.code, 0);
+
+    result = await runCli(["format", "+12128691246", "--format=national"]);
+    assertEqual(result.stdout, "(212) 869-1246\n");
+
+    result = await runCli(["validate", "+1 212 869 1246"]);
+    assertEqual(result.stdout, "valid\n");
+    assertEqual(result.code, 0);
+
+    result = await runCli(["validate", "123", "--country", "US"]);
+    assertEqual(result.stdout, "invalid: TOO_SHORT\n");
+    assertEqual(result.code, 1);
+
+    result = await runCli(["info", "+4930123456", "--json"]);
+    assertEqual(JSON.parse(result.stdout).formats.e164, "+4930123456");
+    result = await runCli(["info", "+4930123456"]);
+    assertTrue(result.stdout.includes("Germany (DE)"));
+  });
+
+  await testAsync("cleans a CSV file", async () => {
+    const result = await runCli([
+      "csv",
+      inputFile,
+      "--column",
+      "phone",
+      "--country",
+      "US",
+      "--out",
+      outputFile,
+    ]);
+    assertEqual(result.code, 0);
+    assertEqual(result.stdout, "");
+    assertEqual(result.stderr, "4 rows: 3 valid, 1 invalid (25.0%)\n");
+    assertEqual(
+      fs.readFileSync(outputFile, "utf8"),
+      [
+        "name,phone,note,normalized,valid,country,error",
+        'Alice,212-869-1246,"Office, main line",+12128691246,true,US,',
+        'Bob,not a number,"Says ""call me""',
+        'later",,false,,NOT_A_NUMBER',
+        "Carol,0049 30 123456,,+4930123456,true,DE,",
+        "Dave,+44 20 7946 0958,,+442079460958,true,GB,",
+        "",
+      ].join("\n")
+    );
+  });
+
+  await testAsync("fails a CSV file over the invalid threshold", async () => {
+    let result = await runCli(["csv", inputFile, "--column=phone"]);
+    assertEqual(result.code, 0);
+    assertTrue(result.stdout.startsWith("name,phone,note,normalized"));
+
+    result = await runCli([
+      "csv",
+      inputFile,
+      "--column=phone",
+      "--max-invalid",
+      "20%",
+    ]);
+    assertEqual(result.code, 1);
+    assertTrue(result.stderr.includes("Too many invalid rows"));
+
+    result = await runCli([
+      "csv",
+      inputFile,
+      "--column=phone",
+      "--max-invalid=1",
+    ]);
+    assertEqual(result.code, 0);
+  });
+
+  await testAsync("reports usage errors and unreadable files", async () => {
+    let result = await runCli(["dial", "112"]);
+    assertEqual(result.code, 2);
+    assertTrue(result.stderr.includes("Unknown command: dial"));
+
+    result = await runCli(["csv", inputFile, "--column", "mobile"]);
+    assertEqual(result.code, 2);
+    assertTrue(result.stderr.includes("columns are: name, phone, note"));
+
+    result = await runCli(["format", "2128691246", "--colour"]);
+    assertEqual(result.code, 2);
+
+    result = await runCli(["format", "2128691246", "--country", "XX"]);
+    assertEqual(result.code, 1);
+    assertTrue(result.stderr.includes("XX"));
+
+    result = await runCli([
+      "csv",
+      path.join(tempDir, "missing.csv"),
+      "--column",
+      "phone",
+    ]);
+    assertEqual(result.code, 1);
+    assertTrue(result.stderr.includes("ENOENT"));
+
+    result = await runCli(["--help"]);
+    assertTrue(result.stdout.startsWith("Usage: phone-forge"));
+  });
+
+  await testAsync("reads and writes CSV fields", async () => {
+    async function* lines() {
+      yield 'a;"b;c";"d';
+      yield 'e"""';
+      yield "";
+      yield ";";
+    }
+    const rows = [];
+    for await (const row of readCsvRows(lines(), ";")) rows.push(row);
+    assertEqual(JSON.stringify(rows), '[["a","b;c","d\\ne\\""],["",""]]');
+    assertEqual(
+      formatCsvRow(["a", 'say "hi"', null, 1], ";"),
+      'a;"say ""hi""";;1'
+    );
+  });
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+
+  console.log("\n=== Testing ES Module and Browser Builds ===");
+
+  const { pathToFileURL } = require("url");
+  const { build } = require("../scripts/build.js");
+
+  const distDir = fs.mkdtempSync(path.join(os.tmpdir(), "phone-forge-dist-"));
+  build(distDir);
+  const importBuilt = (file) =>
+    import(pathToFileURL(path.join(distDir, "esm", file)));
+  const esm = await importBuilt("index.mjs");
+  const esmCore = await importBuilt("core.mjs");
+  const bundleSource = fs.readFileSync(
+    path.join(distDir, "phone-forge.browser.js"),
+    "utf8"
+  );
+  const browser = await import(
+    `data:text/javascript;base64,${Buffer.from(bundleSource).toString(
+      "base64"
+    )}`
+  );
+
+  /**
+   * List the modules an ES module imports, directly or indirectly
+   */
+  function collectImports(file, found = new Set()) {
+    const source = fs.readFileSync(file, "utf8");
+    for (const [, request] of source.matchAll(/^import .* from "(.+)";$/gm)) {
+      const imported = path.join(path.dirname(file), request);
+      if (!found.has(imported)) {
+        found.add(imported);
+        collectImports(imported, found);
+      }
+    }
+    return found;
+  }
+
+  test("ES modules export the same API as the CommonJS entry", () => {
+    const cjs = require("../src/index.js");
+    assertEqual(
+      Object.keys(esm).sort().join(","),
+      Object.keys(cjs).sort().join(",")
+    );
+    assertEqual(esm.formatPhoneNumber("2128691246"), "+1 (212) 869-1246");
+    assertEqual(
+      esm.phoneUtils.getCountryByISO2("DE").iso3,
+      cjs.phoneUtils.getCountryByISO2("DE").iso3
+    );
+    assertTrue(esm.parsePhoneNumber("+4930123456") instanceof esm.PhoneNumber);
+  });
+
+  test("ES modules do not load optional data on demand", () => {
+    const notLoaded = (fn) => catchError(fn).code;
+    assertEqual(
+      notLoaded(() => esm.getNumberLocation("+12128691246")),
+      "DATA_NOT_LOADED"
+    );
+    assertEqual(
+      notLoaded(() => esm.getCarrier("+49 176 12345678")),
+      "DATA_NOT_LOADED"
+    );
+    assertEqual(
+      notLoaded(() => esm.getTimeZones("+12128691246")),
+      "DATA_NOT_LOADED"
+    );
+    assertEqual(
+      notLoaded(() => esm.getPhoneNumberInfo("+4930123456", { locale: "de" })),
+      "DATA_NOT_LOADED"
+    );
+    assertEqual(
+      notLoaded(() => esm.createPhoneForge({ metadata: "min" })),
+      "DATA_NOT_LOADED"
+    );
+    assertFalse("location" in esm.getPhoneNumberInfo("+4930123456"));
+  });
+
+  const [deNames, enPlaces, dePlaces, carriers, timeZones, minMetadata] =
+    await Promise.all(
+      [
+        "locales/de.json.mjs",
+        "geocoding/en.json.mjs",
+        "geocoding/de.json.mjs",
+        "carriers.json.mjs",
+        "timezones.json.mjs",
+        "phone-database.min.json.mjs",
+      ].map(async (file) => (await importBuilt(file)).default)
+    );
+
+  test("ES modules use registered locale and geocoding packs", () => {
+    esm.phoneUtils.registerLocale(deNames);
+    esm.loadGeoData({ geocoding: [enPlaces, dePlaces], carriers, timeZones });
+
+    const info = esm.getPhoneNumberInfo("+4930123456", {
+      locale: "de",
+      include: ["location", "timeZones"],
+    });
+    assertEqual(info.possibleCountries[0].countries[0].name, "Deutschland");
+    assertEqual(info.location, "Berlin");
+    assertEqual(
+      esm.getNumberLocation("+41 22 123 45 67", { locale: "de" }),
+      "Genf"
+    );
+    assertEqual(esm.getCarrier("+49 176 12345678"), "O2");
+    assertEqual(esm.getTimeZones("+12128691246").join(), "America/New_York");
+    assertEqual(
+      esmCore
+        .createPhoneForge({ metadata: minMetadata, metadataSet: "min" })
+        .phoneUtils.getDatabaseStats().metadataSet,
+      "min"
+    );
+  });
+
+  test("ES modules reject malformed geo data", () => {
+    assertEqual(
+      catchError(() => esm.loadGeoData({ geocoding: [deNames] })).code,
+      "INVALID_ARGUMENT"
+    );
+    assertEqual(
+      catchError(() => esm.loadGeoData({ carriers: timeZones.countries })).code,
+      "INVALID_ARGUMENT"
+    );
+  });
+
+  test("ES module errors keep their codes", () => {
+    const error = catchError(() =>
+      esm.formatPhoneNumber("123", { countryCode: "XX" })
+    );
+    assertTrue(error instanceof esm.InvalidCountryError);
+    assertTrue(error instanceof esm.PhoneForgeError);
+    assertEqual(error.code, "INVALID_COUNTRY_CODE");
+  });
+
+  test("extractDigits does not import the database", () => {
+    const imports = [...collectImports(path.join(distDir, "esm/core.mjs"))];
+    assertTrue(imports.some((file) => file.endsWith("phone-forge.mjs")));
+    assertFalse(imports.some((file) => file.includes("phone-database")));
+    assertTrue(
+      fs
+        .readFileSync(path.join(distDir, "esm/index.mjs"), "utf8")
+        .includes(
+          'export const formatPhoneNumber = /* @__PURE__ */ fromDefaultForge("formatPhoneNumber");'
+        )
+    );
+  });
+
+  test("optional data stays out of the ES module graph", () => {
+    const isOptional = (file) =>
+      /[\\/](locales|geocoding)[\\/]|carriers|timezones|\.min\.json/.test(
+        path.relative(distDir, file)
+      );
+    const coreImports = [...collectImports(path.join(distDir, "esm/core.mjs"))];
+    assertFalse(coreImports.some(isOptional));
+    assertFalse(coreImports.some((file) => file.endsWith(".json.mjs")));
+
+    const indexImports = [
+      ...collectImports(path.join(distDir, "esm/index.mjs")),
+    ];
+    assertFalse(indexImports.some(isOptional));
+    assertEqual(
+      indexImports
+        .filter((file) => file.endsWith(".json.mjs"))
+        .map((file) => path.basename(file))
+        .join(),
+      "phone-database.json.mjs"
+    );
+    assertTrue(fs.existsSync(path.join(distDir, "esm/locales/de.json.d.mts")));
+  });
+
+  test("browser bundle is a self-contained ES module", () => {
+    assertFalse(/^import /m.test(bundleSource));
+    assertEqual(
+      browser.formatPhoneNumber("+442079460958", { format: "national" }),
+      "020 7946 0958"
+    );
+    assertEqual(
+      browser.getTimeZones("+12128691246").join(),
+      "America/New_York"
+    );
+    assertEqual(browser.extractDigits("(212) 869-1246"), "2128691246");
+    assertTrue(
+      fs.existsSync(path.join(distDir, "phone-forge.browser.d.ts")) &&
+        fs.existsSync(path.join(distDir, "esm/index.d.mts")) &&
+        fs.existsSync(path.join(distDir, "esm/core.d.mts"))
+    );
+  });
+
+  test("schema adapters are built as ES modules but left out of the bundle", () => {
+    const zodModule = fs.readFileSync(
+      path.join(distDir, "esm/phone-zod.mjs"),
+      "utf8"
+    );
+    assertTrue(zodModule.includes('import { z } from "zod";'));
+    assertTrue(
+      zodModule.includes(
+        'import { createPhoneCheck } from "./phone-schema.mjs";'
+      )
+    );
+    assertTrue(fs.existsSync(path.join(distDir, "esm/phone-joi.d.mts")));
+    assertFalse(bundleSource.includes("phone-schema"));
+    assertFalse(bundleSource.includes("addPhoneFormat"));
+  });
+
+  test("package keeps the source files requirable by path", () => {
+    assertEqual(
+      require.resolve("phone-forge/src/phone-utils.js"),
+      require.resolve("../src/phone-utils.js")
+    );
+    assertEqual(
+      require("phone-forge/src/phone-database.json"),
+      phoneUtils.phoneDatabase
+    );
+    assertEqual(
+      require.resolve("phone-forge/core"),
+      require.resolve("../src/core.js")
+    );
+  });
+
+  test("source utils keep their lookups over the bundled database", () => {
+    const deepUtils = require("phone-forge/src/phone-utils.js");
+    assertEqual(typeof deepUtils.createPhoneUtils, "function");
+    assertEqual(deepUtils.getCountryByISO2("DE").dialCode, "+49");
+    assertEqual(deepUtils.getCountryByDialCode("+49").iso2, "DE");
+    assertEqual(deepUtils.searchCountries({ name: "germany" })[0].iso2, "DE");
+    assertEqual(
+      deepUtils.detectCountryFromPhoneNumber("12128691246")[0].dialCode,
+      "+1"
+    );
+    assertEqual(deepUtils.getDatabaseStats().metadataSet, "max");
+    assertEqual(deepUtils.phoneDatabase, phoneUtils.phoneDatabase);
+
+    const esmUtils = fs.readFileSync(
+      path.join(distDir, "esm/phone-utils.mjs"),
+      "utf8"
+    );
+    assertFalse(esmUtils.includes("getDefaultPhoneUtils().getCountryByISO2"));
+  });
+
+  fs.rmSync(distDir, { recursive: true, force: true });
+
+  console.log("\n=== Testing Schema Adapters ===");
+
+  const {
+    MESSAGES,
+    describeTypes,
+    createPhoneCheck,
+  } = require("../src/phone-schema.js");
+  const { phoneSchema } = require("../src/phone-zod.js");
+  const { addPhoneMethod } = require("../src/phone-yup.js");
+  const { phoneExtension } = require("../src/phone-joi.js");
+  const { addPhoneFormat } = require("../src/phone-ajv.js");
+  const yup = addPhoneMethod(require("yup"));
+  const Joi = require("joi").extend(phoneExtension);
+  const Ajv = require("ajv");
+
+  test("createPhoneCheck normalizes valid numbers", () => {
+    const check = createPhoneCheck({ country: "US" });
+    const result = check("(212) 869-1246");
+    assertTrue(result.valid);
+    assertEqual(result.value, "+12128691246");
+    assertEqual(result.country, "US");
+    assertEqual(
+      createPhoneCheck({ output: "national" })("+44 20 7946 0958").value,
+      "020 7946 0958"
+    );
+  });
+
+  test("createPhoneCheck reports failures by reason", () => {
+    const check = createPhoneCheck({ country: "US" });
+    assertEqual(check("123").reason, "TOO_SHORT");
+    assertEqual(check("123").message, MESSAGES.TOO_SHORT);
+    assertEqual(check(2128691246).reason, "NOT_A_NUMBER");
+    assertEqual(check("not a number").reason, "NOT_A_NUMBER");
+    assertEqual(
+      createPhoneCheck()("+999 123456").reason,
+      "INVALID_COUNTRY_CODE"
+    );
+  });
+
+  test("createPhoneCheck restricts number types", () => {
+    const check = createPhoneCheck({ types: ["mobile", "tollFree"] });
+    const result = check("+44 20 7946 0958");
+    assertEqual(result.reason, "INVALID_TYPE");
+    assertEqual(result.message, "Not a mobile or toll free number");
+    assertTrue(check("+44 7700 900123").valid);
+    // US ranges are shared by mobile and fixed-line numbers
+    assertTrue(createPhoneCheck({ types: ["mobile"] })("+12128691246").valid);
+    assertEqual(describeTypes(["fixedLineOrMobile"]), "fixed line or mobile");
+  });
+
+  test("createPhoneCheck uses custom messages", () => {
+    const check = createPhoneCheck({
+      types: ["tollFree"],
+      messages: {
+        TOO_SHORT: "Enter the full number",
+        INVALID_TYPE: "No {types}",
+      },
+    });
+    assertEqual(check("+1 212").message, "Enter the full number");
+    assertEqual(check("+12128691246").message, "No toll free");
+  });
+
+  test("createPhoneCheck rejects invalid options", () => {
+    assertTrue(
+      catchError(() => createPhoneCheck({ country: "XX" })) instanceof
+        InvalidCountryError
+    );
+    assertTrue(
+      catchError(() => createPhoneCheck({ output: "spoken" })) instanceof
+        UnsupportedFormatError
+    );
+    assertEqual(
+      catchError(() => createPhoneCheck({ types: ["pager"] })).code,
+      "INVALID_ARGUMENT"
+    );
+    assertEqual(
+      catchError(() => createPhoneCheck({ types: [] })).code,
+      "INVALID_ARGUMENT"
+    );
+  });
+
+  test("Zod schema outputs the normalized number", () => {
+    const schema = phoneSchema({ country: "US" });
+    assertEqual(schema.parse("212-869-1246"), "+12128691246");
+    assertEqual(
+      phoneSchema({ output: "international" }).parse("+442079460958"),
+      "+44 20 7946 0958"
+    );
+  });
+
+  test("Zod schema reports the failure reason", () => {
+    const result = phoneSchema({ types: ["mobile"] }).safeParse(
+      "+44 20 7946 0958"
+    );
+    assertFalse(result.success);
+    assertEqual(result.error.issues[0].message, "Not a mobile number");
+    assertEqual(result.error.issues[0].params.reason, "INVALID_TYPE");
+    assertFalse(phoneSchema().safeParse(2128691246).success);
+  });
+
+  test("Yup phone() transforms valid numbers", () => {
+    const schema = yup.object({
+      phone: yup.string().phone({ country: "DE", output: "national" }),
+    });
+    assertEqual(
+      schema.validateSync({ phone: "+49 30 123456" }).phone,
+      "030 123456"
+    );
+    assertEqual(schema.validateSync({ phone: "" }).phone, "");
+    assertEqual(schema.validateSync({}).phone, undefined);
+  });
+
+  test("Yup phone() fails with the reason", () => {
+    const schema = yup.string().phone({ country: "DE" });
+    const error = catchError(() => schema.validateSync("030 1"));
+    assertEqual(error.type, "phone");
+    assertEqual(error.message, MESSAGES.TOO_SHORT);
+    assertEqual(error.params.reason, "TOO_SHORT");
+    assertFalse(yup.string().phone().required().isValidSync(""));
+  });
+
+  test("Joi phone type normalizes valid numbers", () => {
+    const { value, error } = Joi.phone().country("US").validate("212-869-1246");
+    assertEqual(error, undefined);
+    assertEqual(value, "+12128691246");
+    assertEqual(
+      Joi.phone().output("rfc3966").validate("+12128691246").value,
+      "tel:+1-212-869-1246"
+    );
+  });
+
+  test("Joi phone type fails with phone.<reason> errors", () => {
+    const { error } = Joi.object({
+      phone: Joi.phone().types(["mobile"]),
+    }).validate({ phone: "+44 20 7946 0958" });
+    assertEqual(error.details[0].type, "phone.INVALID_TYPE");
+    assertEqual(error.details[0].context.reason, "INVALID_TYPE");
+    assertEqual(error.message, '"phone": Not a mobile number');
+    assertThrows(() => Joi.phone().country("XX"), "Unknown country code: XX");
+  });
+
+  test("Ajv phone format validates numbers", () => {
+    const validate = addPhoneFormat(new Ajv(), { country: "US" }).compile({
+      type: "string",
+      format: "phone",
+    });
+    assertTrue(validate("212-869-1246"));
+    assertFalse(validate("123"));
+  });
+
+  test("Ajv phone keyword normalizes properties and items", () => {
+    const ajv = addPhoneFormat(new Ajv({ allErrors: true }), { country: "US" });
+    const validate = ajv.compile({
+      type: "object",
+      properties: {
+        phone: { type: "string", phone: { output: "international" } },
+        others: { type: "array", items: { type: "string", phone: true } },
+      },
+    });
+    const data = { phone: "212-869-1246", others: ["+442079460958"] };
+    assertTrue(validate(data));
+    assertEqual(data.phone, "+1 212-869-1246");
+    assertEqual(data.others[0], "+442079460958");
+
+    assertFalse(validate({ phone: "123", others: [] }));
+    assertEqual(validate.errors[0].keyword, "phone");
+    assertEqual(validate.errors[0].instancePath, "/phone");
+    assertEqual(validate.errors[0].params.reason, "TOO_SHORT");
+  });
+}
+
+runAsyncTests().then(() => {
+  console.log("\nAll enhanced tests completed!");
+  console.log(
+    `\nDatabase contains ${
+      phoneUtils.getDatabaseStats().totalCountries
+    } countries with ${
+      phoneUtils.getDatabaseStats().totalDialCodes
+    } unique dial codes.`
+  );
+});